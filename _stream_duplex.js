@@ -22,6 +22,21 @@ for(let v = 0; v < keys.length; v++){
 	}
 }
 
+//introspection getters of Writable are accessor properties, which the loop above doesn't pick up(and shouldn't, it would
+//call the getters), so copy their descriptors over to Duplex.prototype.
+Object.getOwnPropertyNames(Writable.prototype).forEach(function(name) {
+	if(name.indexOf('writable') === 0 && !Duplex.prototype.hasOwnProperty(name)){
+		Object.defineProperty(Duplex.prototype, name, Object.getOwnPropertyDescriptor(Writable.prototype, name));
+	}
+});
+
+//snapshot of both sides.
+Duplex.prototype.getStreamState = function getStreamState() {
+	var snapshot = Readable.prototype.getStreamState.call(this);
+	snapshot.writable = Writable.prototype.getStreamState.call(this).writable;
+	return snapshot;
+};
+
 //Duplex stream constructor
 function Duplex(options) {
 	if(!(this instanceof Duplex)){
@@ -41,20 +56,53 @@ function Duplex(options) {
 	}
 
 	//by default., Duplex allows half open.
+	//allowHalfOpen can also be a policy object {timeout, action}: half open is allowed for 'timeout' ms,
+	//then the side still open gets ended(action 'end', the default) or the stream destroyed(action 'destroy').
+	//'end' only applies to the Writable side: the Readable side belongs to the implementation, which may still push,
+	//so a Readable side that outlives the timeout always gets the stream destroyed.
 	this.allowHalfOpen = true;
+	this._halfOpenPolicy = null;
+	this._halfOpenTimer = null;
 	if(options && options.allowHalfOpen === false){
 		this.allowHalfOpen = false;
+	}else if(options && options.allowHalfOpen !== null && typeof options.allowHalfOpen === 'object'){
+		this._halfOpenPolicy = halfOpenPolicy(options.allowHalfOpen);
 	}
 
 	//register a once listener on its Readable part's 'end' event. 
 	this.once('end', onend);
+	//and on its Writable part's 'finish' event, the other way to become half open.
+	this.once('finish', onfinish);
+	this.once('close', clearHalfOpenTimer);
+}
+
+function halfOpenPolicy(policy) {
+	var timeout = policy.timeout;
+	var action = policy.action === undefined ? 'end' : policy.action;
+
+	if(typeof timeout !== 'number' || timeout < 0 || timeout !== timeout){
+		throw new TypeError('"allowHalfOpen.timeout" must be a non-negative number');
+	}
+	if(action !== 'end' && action !== 'destroy'){
+		throw new TypeError('"allowHalfOpen.action" must be \'end\' or \'destroy\'');
+	}
+
+	return { timeout: timeout, action: action };
 }
 
 //once listener gets called when an 'end' event occurs indicating that the Readable part is ended.
+//'readableEnd' tells listeners of the Duplex that only the Writable part may still be open.
 function onend() {
+	clearHalfOpenTimer.call(this);
+	this.emit('readableEnd');
+
 	//if allowed half open, doesn't really matter if Writable part has ended or needs to be ended;
 	//if not allowed half open, but Writable part has already ended, then both parts are ended, simply return.
 	if(this.allowHalfOpen || this._writableState.ended){
+		//under a policy, the Writable part only gets so long to end on its own.
+		if(this._halfOpenPolicy && !this._writableState.ended){
+			startHalfOpenTimer(this, endWritable);
+		}
 		return;
 	}
 
@@ -64,4 +112,255 @@ function onend() {
 
 function onEndNT(self) {
 	self.end();
-}
\ No newline at end of file
+}
+
+//once listener gets called when a 'finish' event occurs indicating that the Writable part is finished.
+//'writableFinish' tells listeners of the Duplex that only the Readable part may still be open.
+function onfinish() {
+	clearHalfOpenTimer.call(this);
+	this.emit('writableFinish');
+
+	if(this._halfOpenPolicy && !this._readableState.ended){
+		startHalfOpenTimer(this, destroyStream);
+	}
+}
+
+function startHalfOpenTimer(self, end) {
+	var policy = self._halfOpenPolicy;
+	self._halfOpenTimer = setTimeout(function() {
+		self._halfOpenTimer = null;
+		if(policy.action === 'destroy'){
+			self.destroy();
+		}else{
+			end(self);
+		}
+	}, policy.timeout);
+}
+
+function clearHalfOpenTimer() {
+	if(this._halfOpenTimer){
+		clearTimeout(this._halfOpenTimer);
+		this._halfOpenTimer = null;
+	}
+}
+
+function endWritable(self) {
+	if(!self._writableState.ended){
+		self.end();
+	}
+}
+
+//pushing null from here would make a later push() of the implementation an error.
+function destroyStream(self) {
+	self.destroy();
+}
+
+/*
+* Duplex.from(source[, opts])
+* Builds a Duplex out of:
+*   an existing Duplex, returned as is;
+*   a Readable or a Writable, which becomes the only side of the duplex;
+*   a {readable, writable} pair, either member optional;
+*   a promise, whose resolved value is the only chunk of the readable side;
+*   an (async generator) function, called with an async iterable of the written chunks
+*   and returning an async iterable or a promise of what to read out.
+* An error or a premature close of either half destroys the duplex, and destroying the duplex destroys both halves.
+* opts are passed to the Duplex constructor, allowHalfOpen included.
+*/
+Duplex.from = function(source, opts) {
+	if(source instanceof Duplex){
+		return source;
+	}
+
+	if(source instanceof Readable){
+		return fromPair(source, null, opts);
+	}
+
+	if(source instanceof Writable){
+		return fromPair(null, source, opts);
+	}
+
+	if(typeof source === 'function'){
+		return fromFunction(source, opts);
+	}
+
+	if(source && typeof source.then === 'function'){
+		return fromPair(promiseReadable(source), null, opts);
+	}
+
+	if(source && (typeof source.readable === 'object' || typeof source.writable === 'object')){
+		return fromPair(source.readable || null, source.writable || null, opts);
+	}
+
+	throw new TypeError('"source" argument must be a stream, a {readable, writable} pair, a promise or a function');
+};
+
+//wraps the readable and writable halves into a single Duplex.
+//each half is watched with stream.finished(): an error, or a 'close' before 'end'/'finish', destroys the duplex.
+function fromPair(readable, writable, opts) {
+	//required lazily, 'stream' module requires this one.
+	var finished = require('stream').finished;
+	var duplex = new Duplex(Object.assign({}, opts, {
+		readable: !!readable,
+		writable: !!writable,
+		readableObjectMode: !!(readable && readable.readableObjectMode),
+		writableObjectMode: !!(writable && writable.writableObjectMode)
+	}));
+
+	if(readable){
+		//forward chunks, pausing the half whenever the duplex's buffer is full.
+		readable.on('data', function(chunk) {
+			if(!duplex.push(chunk)){
+				readable.pause();
+			}
+		});
+		readable.once('end', function() {
+			duplex.push(null);
+		});
+		finished(readable, { writable: false }, function(err) {
+			if(err){
+				duplex.destroy(err);
+			}
+		});
+		duplex._read = function() {
+			readable.resume();
+		};
+	}
+
+	if(writable){
+		//a write is done once the half accepted it, or has drained if it asked us to wait.
+		duplex._write = function(chunk, encoding, cb) {
+			if(writable.write(chunk, encoding)){
+				cb();
+			}else{
+				writable.once('drain', cb);
+			}
+		};
+		duplex.once('finish', function() {
+			writable.end();
+		});
+		finished(writable, { readable: false }, function(err) {
+			if(err){
+				duplex.destroy(err);
+			}
+		});
+	}
+
+	duplex._destroy = function(err, cb) {
+		if(readable && typeof readable.destroy === 'function'){
+			readable.destroy();
+		}
+		if(writable && typeof writable.destroy === 'function'){
+			writable.destroy();
+		}
+		cb(err);
+	};
+
+	return duplex;
+}
+
+//the readable side pushes what the promise resolves to, null and undefined push nothing.
+function promiseReadable(promise) {
+	var readable = new Readable({
+		objectMode: true,
+		read: function() {}
+	});
+
+	promise.then(function(value) {
+		if(value !== null && value !== undefined){
+			readable.push(value);
+		}
+		readable.push(null);
+	}, function(err) {
+		readable.destroy(err);
+	});
+
+	return readable;
+}
+
+//calls fn with an async iterable of the chunks written to the duplex and reads out what it returns.
+//a written chunk is handed to fn one at a time and its write callback is held back until fn
+//asks for the next one, which is what applies backpressure to writers.
+function fromFunction(fn, opts) {
+	//write waiting for fn to pull its chunk.
+	var queued = null;
+	//resolve function of fn's pending next() call.
+	var waiting = null;
+	//true once the writable side finished or got destroyed, no more chunks will come.
+	var finished = false;
+	//true once fn stopped reading its input(break/return), later chunks are let through and dropped.
+	var stopped = false;
+
+	function deliver() {
+		if(!waiting){
+			return;
+		}
+
+		var resolve = waiting;
+		if(queued){
+			var write = queued;
+			queued = null;
+			waiting = null;
+			resolve({ value: write.chunk, done: false });
+			write.cb();
+		}else if(finished){
+			waiting = null;
+			resolve({ value: undefined, done: true });
+		}
+	}
+
+	var writable = new Writable(Object.assign({ objectMode: true }, opts, {
+		write: function(chunk, encoding, cb) {
+			if(stopped){
+				return cb();
+			}
+			queued = { chunk: chunk, cb: cb };
+			deliver();
+		},
+		destroy: function(err, cb) {
+			finished = true;
+			deliver();
+			cb(err);
+		}
+	}));
+	writable.once('finish', function() {
+		finished = true;
+		deliver();
+	});
+
+	var input = {};
+	input[Symbol.asyncIterator] = function() {
+		return {
+			next: function() {
+				return new Promise(function(resolve) {
+					waiting = resolve;
+					deliver();
+				});
+			},
+			return: function() {
+				finished = true;
+				stopped = true;
+				//nobody is going to pull the write that's waiting, complete it so the duplex can finish.
+				if(queued){
+					var write = queued;
+					queued = null;
+					write.cb();
+				}
+				return Promise.resolve({ value: undefined, done: true });
+			}
+		};
+	};
+
+	var result = fn(input);
+	var readable;
+
+	if(result && typeof result[Symbol.asyncIterator] === 'function'){
+		readable = Readable.from(result, opts);
+	}else if(result && typeof result.then === 'function'){
+		readable = promiseReadable(result);
+	}else{
+		throw new TypeError('"source" function must return an async iterable or a promise');
+	}
+
+	return fromPair(readable, writable, opts);
+}
@@ -17,10 +17,28 @@ function PassThrough(options) {
 	}
 
 	Transform.call(this, options);
+
+	//forwarding a batch untouched is only right while _transform forwards chunks untouched too.
+	//a replaced _transform(subclass or options.transform) gets every chunk one by one,
+	//unless a transformBatch of its own was supplied as well.
+	if(this._transform !== PassThrough.prototype._transform &&
+		this.transformBatch === PassThrough.prototype.transformBatch){
+		this.transformBatch = null;
+		this._writev = null;
+	}
 }
 
 //PassThrough stream is a special case of Transform that does nothing to the data.
 PassThrough.prototype._transform = function(chunk, encoding, cb) {
 	//do nothing and pass chunk
 	cb(null, chunk);
-};
\ No newline at end of file
+};
+
+//forward a batch of buffered chunks as they are, in a single transformation phase.
+PassThrough.prototype.transformBatch = function(chunks, cb) {
+	var out = new Array(chunks.length);
+	for(var i = 0; i < chunks.length; i++){
+		out[i] = chunks[i].chunk;
+	}
+	cb(null, out);
+};
@@ -14,6 +14,7 @@ const Buffer = require('buffer').Buffer;
 const util = require('util');
 const debug = util.debuglog('stream');
 const BufferList = require('internal/stream/BufferList');
+const destroyImpl = require('internal/stream/destroy');
 var StringDecoder;
 
 //Stream.Readable inherits from Stream. A Readable instance is also an instance of Stream, EventEmitter and Obejct.
@@ -51,13 +52,27 @@ function ReadableState(options, stream) {
 		this.objectMode = this.objectMode || !!options.readableObjectMode;
 	}
 
+	//size strategy, a function that measures a chunk, see chunkLength().
+	//without it every object counts as 1 in objectMode.
+	if(options.size !== undefined && typeof options.size !== 'function'){
+		throw new TypeError('"size" option must be a function');
+	}
+	this.size = options.size || null;
+
 	//set High Water Mark of current Readable instance
+	//when chunks are measured by size(), default highWaterMark is 16kb even in objectMode.
 	var hwm = options.highWaterMark;
-	var defaultHwm = this.objectMode ? 16 : 16*1024;
+	//a Duplex can size its readable side on its own, readableHighWaterMark wins over highWaterMark.
+	if(stream instanceof Stream.Duplex && (options.readableHighWaterMark || options.readableHighWaterMark === 0)){
+		hwm = options.readableHighWaterMark;
+	}
+	var defaultHwm = (this.objectMode && !this.size) ? 16 : 16*1024;
 	this.highWaterMark = (hwm || hwm === 0) ? hwm : defaultHwm;
 	this.highWaterMark = ~~this.highWaterMark;
 
 	this.buffer = new BufferList();
+	//with a size strategy, the measure of every buffered chunk in buffer order, see shiftChunk().
+	this.bufferedSizes = this.size ? [] : null;
 	this.length = 0;
 	this.pipe = null;
 	this.pipesCount = 0;
@@ -81,6 +96,11 @@ function ReadableState(options, stream) {
 
 	this.readingMore = false;
 
+	//flag indicates if stream has been destroyed, nothing can be pushed after that.
+	this.destroyed = false;
+	//flag indicates if 'close' has been emitted by destroy().
+	this.closeEmitted = false;
+
 	this.decoder = null;
 	this.encoding = null;
 	if(options.encoding){
@@ -111,6 +131,11 @@ function Readable(options) {
 	if(options && typeof options.read === 'function'){
 		this._read = options.read;
 	}
+
+	//same for destroy function, it overrides the default _destroy method.
+	if(options && typeof options.destroy === 'function'){
+		this._destroy = options.destroy;
+	}
 }
 
 // Manually shove something into the read() buffer.
@@ -142,12 +167,104 @@ Readable.prototype.unshift = function(chunk) {
 	return readableAddChunk(this, state, chunk, '', true);
 };
 
+//tear down the stream, see internal/stream/destroy.
+//Duplex and Transform inherit this method, it takes care of their Writable part as well.
+Readable.prototype.destroy = destroyImpl.destroy;
+
+//hook for implementers to release underlying resources, call cb(err) when done.
+//default implementation has nothing to release.
+Readable.prototype._destroy = function(err, cb) {
+	cb(err);
+};
+
+/*
+* Introspection API, a supported way to look at ReadableState instead of reaching into _readableState.
+*   readableFlowing: null(no consumer yet), true(flowing mode) or false(paused mode).
+*   readableLength: amount of buffered data, in bytes/characters, objects, or size() units when there is a size strategy.
+*   readableHighWaterMark: highWaterMark of readable side.
+*   readablePipes: array of destinations this stream is piped to.
+*   readableEnded: true once 'end' has been emitted.
+*   readableObjectMode: whether readable side is in objectMode.
+*   readableDestroyed: whether stream has been destroyed.
+* getStreamState() returns a plain snapshot object that can be logged.
+*/
+Object.defineProperties(Readable.prototype, {
+	readableFlowing: {
+		get: function() {
+			return this._readableState.flowing;
+		}
+	},
+	readableLength: {
+		get: function() {
+			return this._readableState.length;
+		}
+	},
+	readableHighWaterMark: {
+		get: function() {
+			return this._readableState.highWaterMark;
+		}
+	},
+	readablePipes: {
+		get: function() {
+			return pipesOf(this._readableState);
+		}
+	},
+	readableEnded: {
+		get: function() {
+			return this._readableState.endEmitted;
+		}
+	},
+	readableObjectMode: {
+		get: function() {
+			return this._readableState.objectMode;
+		}
+	},
+	readableDestroyed: {
+		get: function() {
+			return this._readableState.destroyed;
+		}
+	}
+});
+
+Readable.prototype.getStreamState = function getStreamState() {
+	var state = this._readableState;
+	return {
+		type: this.constructor.name,
+		readable: {
+			flowing: state.flowing,
+			length: state.length,
+			highWaterMark: state.highWaterMark,
+			objectMode: state.objectMode,
+			bufferedChunks: state.buffer.length,
+			pipesCount: state.pipesCount,
+			awaitDrain: state.awaitDrain,
+			reading: state.reading,
+			ended: state.ended,
+			endEmitted: state.endEmitted,
+			destroyed: state.destroyed
+		}
+	};
+};
+
+//state.pipe is null, a single destination or an array of destinations depending on pipesCount, always return an array.
+function pipesOf(state) {
+	if(!state.pipe){
+		return [];
+	}
+	return Array.isArray(state.pipe) ? state.pipe.slice() : [state.pipe];
+}
+
 // return a boolean value indicates whether stream is in pause mode or flowing mode.
 Readable.prototype.isPaused = function() {
 	return this._readableState.flowing === false;
 };
 
 function readableAddChunk(stream, state, chunk, encoding, addToFront) {
+	//destroyed stream rejects any further data.
+	if(state.destroyed){
+		return false;
+	}
+
 	var er = chunkInvalid(state, chunk);
 
 	if(er) {
@@ -180,11 +297,66 @@ function readableAddChunk(stream, state, chunk, encoding, addToFront) {
 					stream.emit('data', chunk);
 					stream.read(0);
 				} else {
+					//update the buffer info, length is measured by size strategy when there is one.
+					//the measure is kept next to the chunk, so taking it out takes off the same amount.
+					var len = chunkLength(state, chunk);
+					state.length += len;
+					if(addToFront) {
+						state.buffer.unshift(chunk);
+						if(state.bufferedSizes){
+							state.bufferedSizes.unshift(len);
+						}
+					} else {
+						state.buffer.push(chunk);
+						if(state.bufferedSizes){
+							state.bufferedSizes.push(len);
+						}
+					}
 
+					if(state.needReadable) {
+						emitReadable(stream);
+					}
 				}
 			}
 		}
 	}
+
+	return needMoreData(state);
+}
+
+//returns true if the buffer is below highWaterMark and more data is welcome, which is what push() returns.
+function needMoreData(state) {
+	return !state.ended &&
+			(state.needReadable ||
+			state.length < state.highWaterMark ||
+			state.length === 0);
+}
+
+//measure a chunk against highWaterMark.
+//by default it's 1 for every object in objectMode and number of bytes/characters otherwise.
+//with options.size, it's whatever size(chunk) returns, so push() reflects real memory pressure.
+//it's only called once per chunk, when the chunk gets buffered.
+function chunkLength(state, chunk) {
+	if(state.size){
+		var len = state.size(chunk);
+		if(typeof len !== 'number' || !(len >= 0) || len === Infinity){
+			throw new TypeError('size() must return a non-negative finite number');
+		}
+		return len;
+	}
+	return state.objectMode ? 1 : chunk.length;
+}
+
+//take the first chunk out of the buffer and its measure off state.length, this is how read() empties the buffer.
+//a chunk measured by size() is always taken whole, the measure stored for it is what comes off.
+function shiftChunk(state) {
+	var chunk = state.buffer.shift();
+	if(state.bufferedSizes){
+		state.length -= state.bufferedSizes.shift();
+	}else{
+		state.length -= chunkLength(state, chunk);
+	}
+	return chunk;
 }
 
 // backwards compatibility.
@@ -200,3 +372,741 @@ Readable.prototype.setEncoding = function(enc) {
 };
 
 
+
+
+/*
+* Async iteration, makes `for await (const chunk of readable) {...}` work.
+* The iterator is built on top of read(): every next() call reads one chunk(a whole buffered chunk in objectMode,
+* or whatever read() returns otherwise), and only waits for 'readable' when the buffer is empty.
+* Nothing is read until consumer asks for it, so stream's highWaterMark keeps applying backpressure to _read().
+* An 'error' makes the pending or next next() call reject, a 'close' before 'end' rejects with 'Premature close'.
+* Leaving the loop early(break, return, throw) calls iterator.return(), which destroys the stream.
+*/
+Readable.prototype[Symbol.asyncIterator] = function() {
+	return createReadableIterator(this);
+};
+
+function createReadableIterator(stream) {
+	var state = stream._readableState;
+	var error = null;
+	var ended = false;
+	//pending next() call waiting for data, there is at most one because next() calls are serialized by for await.
+	var pending = null;
+
+	function settle(fn, value) {
+		var p = pending;
+		pending = null;
+		p[fn](value);
+	}
+
+	function onreadable() {
+		if(!pending){
+			return;
+		}
+		var chunk = stream.read();
+		if(chunk !== null){
+			settle('resolve', iterResult(chunk, false));
+		}
+	}
+
+	function onend() {
+		ended = true;
+		cleanup();
+		if(pending){
+			settle('resolve', iterResult(undefined, true));
+		}
+	}
+
+	function onerror(err) {
+		error = err;
+		cleanup();
+		if(pending){
+			settle('reject', err);
+		}
+	}
+
+	function onclose() {
+		if(!ended && !error){
+			onerror(new Error('Premature close'));
+		}
+	}
+
+	function cleanup() {
+		stream.removeListener('readable', onreadable);
+		stream.removeListener('end', onend);
+		stream.removeListener('error', onerror);
+		stream.removeListener('close', onclose);
+	}
+
+	stream.on('readable', onreadable);
+	stream.on('end', onend);
+	stream.on('error', onerror);
+	stream.on('close', onclose);
+
+	var iterator = {
+		next: function() {
+			if(error){
+				return Promise.reject(error);
+			}
+			if(ended){
+				return Promise.resolve(iterResult(undefined, true));
+			}
+			//destroy() emits 'error' and 'close' on next tick, wait for them rather than report done early.
+			if(state.destroyed){
+				if(state.closeEmitted){
+					error = new Error('Premature close');
+					return Promise.reject(error);
+				}
+				return new Promise(function(resolve, reject) {
+					pending = { resolve: resolve, reject: reject };
+				});
+			}
+
+			var chunk = stream.read();
+			if(chunk !== null){
+				return Promise.resolve(iterResult(chunk, false));
+			}
+
+			//buffer is empty, wait for 'readable', 'end' or 'error'.
+			return new Promise(function(resolve, reject) {
+				pending = { resolve: resolve, reject: reject };
+			});
+		},
+
+		return: function() {
+			cleanup();
+			if(!ended && !state.destroyed){
+				stream.destroy();
+			}
+			ended = true;
+			if(pending){
+				settle('resolve', iterResult(undefined, true));
+			}
+			return Promise.resolve(iterResult(undefined, true));
+		}
+	};
+
+	iterator[Symbol.asyncIterator] = function() {
+		return this;
+	};
+
+	return iterator;
+}
+
+//helper function to create a result object of iterator protocol.
+function iterResult(value, done) {
+	return { value: value, done: done };
+}
+
+
+/*
+* Readable.from(iterable[, options]) builds a Readable from an iterable, an async iterable(e.g. async generator) or a promise.
+* Items are pulled lazily in _read(): the stream keeps pulling while push() returns true, and stops
+* as soon as highWaterMark is reached, so a generator only runs as far as the consumer reads.
+* Items that are promises get awaited before being pushed. Stream is in objectMode unless options say otherwise.
+* An exception thrown from the iterator(or a rejected promise) destroys the stream with that error,
+* and destroying the stream calls iterator.return(), so finally blocks of generators get a chance to run.
+* A string or a Buffer is pushed as a single chunk instead of being iterated char by char.
+*/
+Readable.from = function(iterable, opts) {
+	var iterator;
+	var isAsync = false;
+
+	if(typeof iterable === 'string' || iterable instanceof Buffer){
+		iterable = [iterable];
+	}else if(iterable && typeof iterable.then === 'function'){
+		//a promise is a one item iterable, its value gets awaited like any other promise item.
+		iterable = [iterable];
+	}
+
+	if(iterable && typeof iterable[Symbol.asyncIterator] === 'function'){
+		isAsync = true;
+		iterator = iterable[Symbol.asyncIterator]();
+	}else if(iterable && typeof iterable[Symbol.iterator] === 'function'){
+		iterator = iterable[Symbol.iterator]();
+	}else{
+		throw new TypeError('"iterable" argument must be an iterable, an async iterable or a promise');
+	}
+
+	var readable = new Readable(Object.assign({ objectMode: true }, opts));
+	//true while pulling is going on, _read() calls in the meantime are ignored.
+	var reading = false;
+	//true once iterator is done or has thrown, then there is nothing to return().
+	var finished = false;
+
+	readable._read = function() {
+		if(!reading){
+			reading = true;
+			pull();
+		}
+	};
+
+	readable._destroy = function(err, cb) {
+		if(finished || typeof iterator.return !== 'function'){
+			return cb(err);
+		}
+		finished = true;
+		new Promise(function(resolve) {
+			resolve(iterator.return());
+		}).then(function() {
+			cb(err);
+		}, function(returnErr) {
+			cb(err || returnErr);
+		});
+	};
+
+	//sync iterators are drained in a loop, async results(or promise items) continue the loop once settled.
+	function pull() {
+		for(;;){
+			var result;
+			try {
+				result = iterator.next();
+			} catch(err) {
+				fail(err);
+				return;
+			}
+
+			if(isAsync || (result && !result.done && result.value && typeof result.value.then === 'function')){
+				Promise.resolve(result).then(function(result) {
+					if(result.done){
+						return result;
+					}
+					return Promise.resolve(result.value).then(function(value) {
+						return iterResult(value, false);
+					});
+				}).then(function(result) {
+					if(handleResult(result)){
+						pull();
+					}
+				}, fail);
+				return;
+			}
+
+			if(!handleResult(result)){
+				return;
+			}
+		}
+	}
+
+	//push one result, returns true if we should keep pulling.
+	function handleResult(result) {
+		if(readable._readableState.destroyed){
+			return false;
+		}
+		if(result.done){
+			finished = true;
+			readable.push(null);
+			return false;
+		}
+		if(result.value === null){
+			fail(new TypeError('May not push null values into stream'));
+			return false;
+		}
+		if(readable.push(result.value)){
+			return true;
+		}
+		reading = false;
+		return false;
+	}
+
+	function fail(err) {
+		finished = true;
+		reading = false;
+		readable.destroy(err);
+	}
+
+	return readable;
+};
+
+
+/*
+* Functional operators, chainable helpers that save writing a Transform subclass for simple jobs.
+* map, filter, flatMap, take and drop return a new Readable(objectMode) that reads from this stream.
+* reduce and toArray consume this stream and return a promise.
+* They are all built on async iteration(see above) and Readable.from(), so data is only read from this stream
+* when the returned stream wants more, and highWaterMark of both streams keeps applying backpressure.
+* fn can be an async function. map and filter take options.concurrency(default 1) to keep several fn calls in flight,
+* results are still pushed in source order. options.highWaterMark sets highWaterMark of returned stream.
+* Destroying the returned stream(or an error thrown by fn) destroys this stream as well.
+*/
+Readable.prototype.map = function map(fn, options) {
+	checkOperatorFn(fn);
+	var source = this[Symbol.asyncIterator]();
+	var next = concurrentMapper(source, fn, getConcurrency(options));
+
+	return operatorStream(source, options, function() {
+		return next().then(function(result) {
+			return result.done ? result : iterResult(result.mapped, false);
+		});
+	});
+};
+
+Readable.prototype.filter = function filter(fn, options) {
+	checkOperatorFn(fn);
+	var source = this[Symbol.asyncIterator]();
+	var next = concurrentMapper(source, fn, getConcurrency(options));
+
+	//skip chunks rejected by fn until one passes or source ends.
+	function nextPassed() {
+		return next().then(function(result) {
+			if(result.done){
+				return result;
+			}
+			return result.mapped ? iterResult(result.value, false) : nextPassed();
+		});
+	}
+
+	return operatorStream(source, options, nextPassed);
+};
+
+//fn returns an iterable, an async iterable(e.g. a stream) or a promise of one of them, every item of it is pushed.
+Readable.prototype.flatMap = function flatMap(fn, options) {
+	checkOperatorFn(fn);
+	var source = this[Symbol.asyncIterator]();
+	var next = concurrentMapper(source, fn, getConcurrency(options));
+	var inner = null;
+
+	function nextFlat() {
+		if(inner){
+			return Promise.resolve(inner.next()).then(function(result) {
+				if(!result.done){
+					return iterResult(result.value, false);
+				}
+				inner = null;
+				return nextFlat();
+			});
+		}
+
+		return next().then(function(result) {
+			if(result.done){
+				return result;
+			}
+			var mapped = result.mapped;
+			if(mapped && typeof mapped[Symbol.asyncIterator] === 'function'){
+				inner = mapped[Symbol.asyncIterator]();
+			}else if(mapped && typeof mapped[Symbol.iterator] === 'function'){
+				inner = mapped[Symbol.iterator]();
+			}else{
+				throw new TypeError('flatMap() function must return an iterable or an async iterable');
+			}
+			return nextFlat();
+		});
+	}
+
+	return operatorStream(source, options, nextFlat, function() {
+		if(inner && typeof inner.return === 'function'){
+			inner.return();
+		}
+	});
+};
+
+//push the first n chunks, then destroy this stream right away, the rest of it is never read.
+Readable.prototype.take = function take(n, options) {
+	n = checkCount(n);
+	var source = this[Symbol.asyncIterator]();
+	var taken = 0;
+
+	return operatorStream(source, options, function() {
+		if(taken >= n){
+			closeSource(source);
+			return Promise.resolve(iterResult(undefined, true));
+		}
+		return source.next().then(function(result) {
+			if(!result.done && ++taken >= n){
+				closeSource(source);
+			}
+			return result;
+		});
+	});
+};
+
+//skip the first n chunks and push the rest.
+Readable.prototype.drop = function drop(n, options) {
+	n = checkCount(n);
+	var source = this[Symbol.asyncIterator]();
+	var dropped = 0;
+
+	function nextKept() {
+		return source.next().then(function(result) {
+			if(!result.done && dropped < n){
+				dropped++;
+				return nextKept();
+			}
+			return result;
+		});
+	}
+
+	return operatorStream(source, options, nextKept);
+};
+
+//reduce all chunks into one value, fn(previous, chunk) can be async.
+//without initial value, the first chunk is used as initial value, an empty stream is an error then.
+Readable.prototype.reduce = function reduce(fn, initial) {
+	checkOperatorFn(fn);
+	var source = this[Symbol.asyncIterator]();
+	var hasInitial = arguments.length > 1;
+	var acc = initial;
+
+	function step() {
+		return source.next().then(function(result) {
+			if(result.done){
+				if(!hasInitial){
+					throw new TypeError('Reduce of an empty stream with no initial value');
+				}
+				return acc;
+			}
+			if(!hasInitial){
+				hasInitial = true;
+				acc = result.value;
+				return step();
+			}
+			return Promise.resolve(fn(acc, result.value)).then(function(value) {
+				acc = value;
+				return step();
+			});
+		});
+	}
+
+	return step().then(null, function(err) {
+		closeSource(source);
+		throw err;
+	});
+};
+
+//collect all chunks into an array.
+Readable.prototype.toArray = function toArray() {
+	return this.reduce(function(arr, chunk) {
+		arr.push(chunk);
+		return arr;
+	}, []);
+};
+
+//wrap pull function of an operator into a new Readable.
+//pull() resolves {value, done} results, when it rejects or returned stream gets destroyed, source gets closed.
+function operatorStream(source, options, pull, onclose) {
+	var done = false;
+
+	function close() {
+		if(done){
+			return;
+		}
+		done = true;
+		if(onclose){
+			onclose();
+		}
+		closeSource(source);
+	}
+
+	var iterator = {
+		next: function() {
+			if(done){
+				return Promise.resolve(iterResult(undefined, true));
+			}
+			return pull().then(function(result) {
+				if(result.done){
+					done = true;
+				}
+				return result;
+			}, function(err) {
+				close();
+				throw err;
+			});
+		},
+		return: function() {
+			close();
+			return Promise.resolve(iterResult(undefined, true));
+		}
+	};
+
+	var iterable = {};
+	iterable[Symbol.asyncIterator] = function() {
+		return iterator;
+	};
+
+	return Readable.from(iterable, {
+		objectMode: true,
+		highWaterMark: options ? options.highWaterMark : undefined
+	});
+}
+
+//run fn over source chunks with up to concurrency calls in flight.
+//source is pulled one chunk at a time(async iterator of Readable allows one pending next()),
+//and results come out in source order as {value, mapped, done} objects.
+function concurrentMapper(source, fn, concurrency) {
+	var sourceDone = false;
+	var lastPull = Promise.resolve();
+	var slots = [];
+
+	function pullSource() {
+		lastPull = lastPull.then(function() {
+			if(sourceDone){
+				return iterResult(undefined, true);
+			}
+			return source.next().then(function(result) {
+				if(result.done){
+					sourceDone = true;
+				}
+				return result;
+			});
+		});
+		return lastPull;
+	}
+
+	function fill() {
+		while(!sourceDone && slots.length < concurrency){
+			var slot = pullSource().then(function(result) {
+				if(result.done){
+					return result;
+				}
+				return Promise.resolve(fn(result.value)).then(function(mapped) {
+					return { value: result.value, mapped: mapped, done: false };
+				});
+			});
+			//rejection is handled when consumer reaches this slot, don't report it as unhandled before that.
+			slot.catch(function() {});
+			slots.push(slot);
+		}
+	}
+
+	return function next() {
+		fill();
+		return slots.shift() || Promise.resolve(iterResult(undefined, true));
+	};
+}
+
+//return() on async iterator of Readable destroys the stream unless it has ended.
+function closeSource(source) {
+	if(typeof source.return === 'function'){
+		source.return();
+	}
+}
+
+function checkOperatorFn(fn) {
+	if(typeof fn !== 'function'){
+		throw new TypeError('"fn" argument must be a function');
+	}
+}
+
+function getConcurrency(options) {
+	var concurrency = (options && options.concurrency !== undefined) ? options.concurrency : 1;
+	if(typeof concurrency !== 'number' || concurrency < 1 || Math.floor(concurrency) !== concurrency){
+		throw new TypeError('"concurrency" option must be a positive integer');
+	}
+	return concurrency;
+}
+
+function checkCount(n) {
+	if(typeof n !== 'number' || n < 0 || isNaN(n)){
+		throw new TypeError('"n" argument must be a positive number');
+	}
+	return Math.floor(n);
+}
+
+function nop() {}
+
+/*
+* Fan-out, sending one Readable to several consumers without reading it twice.
+* fanOut(dests[, options]) writes every chunk of this stream to every Writable in dests.
+* options.policy decides what happens with a branch that can't keep up(its write() returned false):
+*   'wait'(default): this stream is paused until every branch drains, so it runs at the speed of the slowest consumer.
+*   'drop': chunks are skipped for that branch until it drains.
+*   'buffer': chunks are queued for that branch, up to options.limit(default 16) chunks. A branch that goes over
+*             the limit is destroyed with an error.
+* With 'drop' and 'buffer', this stream is only paused when every branch is waiting, so it runs at the speed of the fastest one.
+* A branch that errors or closes early is detached, other branches are not affected.
+* An error of this stream destroys every branch with that error, 'end' of this stream ends every branch.
+* Returns dests.
+*/
+Readable.prototype.fanOut = function fanOut(dests, options) {
+	var source = this;
+	options = options || {};
+	var policy = options.policy === undefined ? 'wait' : options.policy;
+	var limit = options.limit === undefined ? 16 : options.limit;
+
+	if(!Array.isArray(dests) || dests.length === 0){
+		throw new TypeError('"dests" argument must be a non-empty array of streams');
+	}
+	if(policy !== 'wait' && policy !== 'drop' && policy !== 'buffer'){
+		throw new TypeError('"policy" option must be one of "wait", "drop" or "buffer"');
+	}
+	if(typeof limit !== 'number' || limit < 0 || isNaN(limit)){
+		throw new TypeError('"limit" option must be a positive number');
+	}
+
+	var branches = dests.map(function(dest) {
+		var branch = {
+			dest: dest,
+			//chunks not written to dest yet, dest is waiting for 'drain' while it's not empty.
+			queue: [],
+			waiting: false,
+			ending: false,
+			active: true,
+			ondrain: function() {
+				ondrain(branch);
+			},
+			onerror: function() {
+				detach(branch);
+			},
+			onclose: function() {
+				detach(branch);
+			}
+		};
+		dest.on('drain', branch.ondrain);
+		dest.on('error', branch.onerror);
+		dest.on('close', branch.onclose);
+		dest.emit('pipe', source);
+		return branch;
+	});
+
+	function ondata(chunk) {
+		for(var i = 0; i < branches.length; i++){
+			var branch = branches[i];
+			if(!branch.active){
+				continue;
+			}
+			if(!branch.waiting){
+				branch.waiting = branch.dest.write(chunk) === false;
+			}else if(policy === 'drop'){
+				continue;
+			}else{
+				//'wait' gets here only for chunks already on their way when source got paused.
+				branch.queue.push(chunk);
+				if(policy === 'buffer' && branch.queue.length > limit){
+					destroyBranch(branch, new Error('fanOut buffer limit exceeded'));
+				}
+			}
+		}
+
+		if(shouldPause()){
+			source.pause();
+		}
+	}
+
+	//dest drained, write its queue until it's empty or dest is full again.
+	function ondrain(branch) {
+		if(!branch.active){
+			return;
+		}
+		var ok = true;
+		while(ok && branch.queue.length > 0){
+			ok = branch.dest.write(branch.queue.shift()) !== false;
+		}
+		branch.waiting = !ok;
+
+		if(!branch.waiting && branch.ending){
+			endBranch(branch);
+		}
+		if(!shouldPause()){
+			source.resume();
+		}
+	}
+
+	function onend() {
+		for(var i = 0; i < branches.length; i++){
+			var branch = branches[i];
+			if(!branch.active){
+				continue;
+			}
+			//dest with queued chunks ends once they are written.
+			if(branch.queue.length > 0){
+				branch.ending = true;
+			}else{
+				endBranch(branch);
+			}
+		}
+		cleanup();
+	}
+
+	function onerror(err) {
+		cleanup();
+		branches.forEach(function(branch) {
+			if(branch.active){
+				destroyBranch(branch, err);
+			}
+		});
+	}
+
+	//destroy a branch with err, which its own 'error' listeners still get.
+	//the no-op listener keeps a branch nobody else listens to, like a tee() branch, from throwing it.
+	function destroyBranch(branch, err) {
+		var dest = branch.dest;
+		detach(branch);
+		dest.on('error', nop);
+		dest.destroy(err);
+	}
+
+	function endBranch(branch) {
+		var dest = branch.dest;
+		detach(branch);
+		dest.end();
+	}
+
+	function detach(branch) {
+		if(!branch.active){
+			return;
+		}
+		branch.active = false;
+		branch.queue = [];
+		branch.waiting = false;
+		branch.dest.removeListener('drain', branch.ondrain);
+		branch.dest.removeListener('error', branch.onerror);
+		branch.dest.removeListener('close', branch.onclose);
+
+		if(!branches.some(isActive)){
+			//nobody is listening anymore, stop reading.
+			cleanup();
+			source.pause();
+		}else if(!shouldPause()){
+			source.resume();
+		}
+	}
+
+	function isActive(branch) {
+		return branch.active;
+	}
+
+	function isWaiting(branch) {
+		return branch.active && branch.waiting;
+	}
+
+	//'wait' pauses for the slowest branch, the other policies only when no branch can take more.
+	function shouldPause() {
+		if(policy === 'wait'){
+			return branches.some(isWaiting);
+		}
+		return branches.filter(isActive).every(isWaiting);
+	}
+
+	function cleanup() {
+		source.removeListener('data', ondata);
+		source.removeListener('end', onend);
+		source.removeListener('error', onerror);
+	}
+
+	source.on('data', ondata);
+	source.on('end', onend);
+	source.on('error', onerror);
+
+	return dests;
+};
+
+//tee(n[, options]) splits this stream into n Readable branches, each one gets every chunk.
+//options are the same as fanOut(), options.highWaterMark sets highWaterMark of every branch.
+Readable.prototype.tee = function tee(n, options) {
+	if(typeof n !== 'number' || n < 1 || Math.floor(n) !== n){
+		throw new TypeError('"n" argument must be a positive integer');
+	}
+
+	//lazily required, PassThrough is built on top of Readable.
+	const PassThrough = require('_stream_passthrough');
+	var state = this._readableState;
+	var branches = new Array(n);
+	for(var i = 0; i < n; i++){
+		branches[i] = new PassThrough({
+			objectMode: state.objectMode,
+			highWaterMark: options ? options.highWaterMark : undefined
+		});
+	}
+
+	return this.fanOut(branches, options);
+};
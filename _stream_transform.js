@@ -11,7 +11,9 @@ const util = require('util');
 util.inherits(Transform, Duplex);
 
 //Constructor for state object of Transform stream.
-function TransformState(stream) {
+function TransformState(stream, options) {
+	options = options || {};
+
 	//the callback that passes to _transform
 	//gets called when data chunk is finished transformation and ready to be read out.
 	this.afterTransform = function(error, data){
@@ -29,6 +31,35 @@ function TransformState(stream) {
 	this.writechunk = null;
 	//store the encoding of chunk passed to _write
 	this.writeencoding = null;
+	//reference to the batch of chunks passed to _writev, handled by transformBatch
+	this.writebatch = null;
+
+	//concurrent mode: how many _transform calls may be in flight at once.
+	//default is 1, which keeps the classic one-chunk-at-a-time behavior.
+	var concurrency = options.concurrency;
+	if(concurrency === undefined || concurrency === null){
+		concurrency = 1;
+	}
+	if(typeof concurrency !== 'number' || concurrency < 1 || Math.floor(concurrency) !== concurrency){
+		throw new TypeError('"concurrency" option must be a positive integer');
+	}
+	this.concurrency = concurrency;
+	//whether output keeps the input order. if false, results are pushed as soon as they are ready.
+	this.ordered = options.ordered !== false;
+	//number of _transform calls that haven't called back yet.
+	this.inFlight = 0;
+	//sequence number handed to the next chunk, and the next one to push when ordered.
+	this.seq = 0;
+	this.nextOut = 0;
+	//output of chunks that aren't next in line yet, keyed by sequence number, see pushInOrder().
+	this.results = new Map();
+	//_write's callback held back while all slots are taken or the Readable side is full.
+	this.heldcb = null;
+	//flag that indicates 'prefinish' arrived while transforms were still in flight.
+	this.flushPending = false;
+
+	//async iterable hooks waiting for the Readable side to ask for more, see pushChunks().
+	this.readWaiters = [];
 }
 
 //function that gets executed when callback in _transform is invoked.
@@ -48,11 +79,10 @@ function afterTransform(stream, error, data) {
 	//because previous transformation phase is over, clean cached chunk and encoding.
 	ts.writechunk = null;
 	ts.writeencoding = null;
+	ts.writebatch = null;
 
 	//if there are transformed data, pass them to the Readable side.
-	if(data !== null && data !== undefined){
-		stream.push(data);
-	}
+	pushOutput(stream, data);
 
 	//invoke callback of _write to pull chunk from Writable.
 	cb(error);
@@ -73,7 +103,7 @@ function Transform(options) {
 	Duplex.call(options);
 
 	//state of this Transform stream is handled by a TransformState object.
-	this._transformState = new TransformState(this);
+	this._transformState = new TransformState(this, options);
 
 	var stream = this;
 
@@ -89,21 +119,43 @@ function Transform(options) {
 		if(typeof options.flush === 'function'){
 			this._flush = options.flush;
 		}
+
+		if(typeof options.transformBatch === 'function'){
+			this.transformBatch = options.transformBatch;
+		}
+	}
+
+	//with a transformBatch hook, let Writable hand over buffered chunks in one go through _writev.
+	//concurrent mode keeps feeding chunks one at a time, and a writev passed in options is left alone.
+	if(typeof this.transformBatch === 'function' && this._transformState.concurrency === 1 &&
+		!(options && typeof options.writev === 'function')){
+		this._writev = batchWritev;
 	}
 
 	//attach one -time listener to stream and listen on 'prefinish' evernt issued by its Writable part.
 	//when Writable part is going to end, call done() to signal the Readable part.
+	//in concurrent mode, _write's callback runs before the chunk is transformed,
+	//so wait for the in-flight transforms to settle before flushing.
 	this.once('prefinish', function() {
-		if(typeof this._flush === 'function'){
-			this._flush(function(err, data) {
-				done(stream, err, data);
-			});
-		}else{
-			done(stream);
+		var ts = stream._transformState;
+		if(ts.concurrency > 1 && ts.inFlight > 0){
+			ts.flushPending = true;
+			return;
 		}
+		flush(stream);
 	});
 }
 
+function flush(stream) {
+	if(typeof stream._flush === 'function'){
+		callHook(stream, stream._flush, '_flush', [], function(err, data) {
+			done(stream, err, data);
+		});
+	}else{
+		done(stream);
+	}
+}
+
 //method that passes transformed data to Readable side. You may call 'push' zero or more times.
 //under the hood, it simply calls Readable.push() to push data into Readable side.
 Transform.prototype.push = function(chunk, encoding) {
@@ -128,10 +180,19 @@ Transform.prototype._transform = function(chunk, encoding, cb) {
 	throw new Error('Not implemented');
 };
 
+//optional hook for transforming several buffered chunks at once, e.g. after cork()/uncork().
+//'chunks' is an array of {chunk, encoding} objects. Call cb(err, outputs) with an array
+//of transformed chunks, or return a promise of one. Left null, chunks go through _transform one by one.
+Transform.prototype.transformBatch = null;
+
 //stream's Writable side 
 Transform.prototype._write = function(chunk, encoding, cb) {
 	var ts = this._transformState;
 
+	if(ts.concurrency > 1){
+		return concurrentWrite(this, chunk, encoding, cb);
+	}
+
 	//cache the chunk, encoding and reference to callback for further usage.
 	ts.writecb = cb;
 	ts.writechunk = chunk;
@@ -146,6 +207,27 @@ Transform.prototype._write = function(chunk, encoding, cb) {
 	}
 };
 
+//stream's Writable side for buffered chunks, installed as _writev when transformBatch is provided.
+function batchWritev(entries, cb) {
+	var ts = this._transformState;
+	var batch = new Array(entries.length);
+
+	for(var i = 0; i < entries.length; i++){
+		batch[i] = { chunk: entries[i].chunk, encoding: entries[i].encoding };
+	}
+
+	//cache the batch and reference to callback, then proceed like _write does.
+	ts.writecb = cb;
+	ts.writebatch = batch;
+
+	if(!ts.Transforming){
+		var rs = this._readableState;
+		if(ts.needTransform || rs.needReadable || rs.length < rs.highWaterMark){
+			this._read(rs.highWaterMark);
+		}
+	}
+}
+
 // stream's Readable side
 // Doesn't matter what the args are here.
 // delegate _transform to do all the work.
@@ -153,12 +235,31 @@ Transform.prototype._write = function(chunk, encoding, cb) {
 Transform.prototype._read = function(n) {
 	var ts = this._transformState;
 
+	//async iterable hooks that were told to hold on can pull their next value now.
+	wakeReadWaiters(ts);
+
+	//in concurrent mode chunks are transformed as they are written,
+	//so reading only has to let a held-back write through.
+	if(ts.concurrency > 1){
+		ts.needTransform = true;
+		return releaseWrite(this);
+	}
+
+	//a batch from _writev is transformed as a whole.
+	if(ts.writebatch !== null && ts.writecb && !ts.Transforming){
+		ts.Transforming = true;
+		callHook(this, this.transformBatch, 'transformBatch', [ts.writebatch], function(err, data) {
+			ts.afterTransform(err, Array.isArray(data) ? new TransformOutput(data) : data);
+		});
+		return;
+	}
+
 	//if there is incoming data and we're not in the middle of transformation, then
 	if(ts.writechunk !== null && ts.writecb && !ts.Transforming){
 		//mark a new transformation phase starts
 		ts.Transforming = true;
 		//call the overridden _transform function to perform data manipulation
-		this._transform(ts.writechunk, ts.writeencoding, ts.afterTransform);
+		callHook(this, this._transform, '_transform', [ts.writechunk, ts.writeencoding], ts.afterTransform);
 	}else{
 	    // mark that we need a transform, so that any data that comes in
 	    // will get processed, now that we've asked for it.
@@ -166,14 +267,260 @@ Transform.prototype._read = function(n) {
 	}
 };
 
-function done(stream, err, data) {
+/*
+* Concurrent Transform
+* With options.concurrency > 1, every chunk handed to _write starts its _transform right away
+* and _write's callback is invoked early so Writable passes down the next chunk, until
+* 'concurrency' chunks are outstanding or the Readable side reaches its highWaterMark.
+* Output must be passed through the _transform callback, cb(err, data), or its returned
+* promise or async iterable. When ordered (the default), results are pushed in input order:
+* output of a chunk that isn't next in line waits in ts.results. Calling push() directly
+* from _transform bypasses the reordering.
+*/
+
+function concurrentWrite(stream, chunk, encoding, cb) {
+	var ts = stream._transformState;
+	var seq = ts.seq++;
+
+	ts.inFlight++;
+	if(ts.ordered){
+		ts.results.set(seq, { chunks: [], length: 0, done: false });
+	}
+	callHook(stream, stream._transform, '_transform', [chunk, encoding], function(err, data) {
+		afterConcurrentTransform(stream, seq, err, data);
+	}, function(value) {
+		return pushInOrder(stream, seq, value);
+	});
+
+	if(canAcceptMore(stream)){
+		cb();
+	}else{
+		ts.heldcb = cb;
+	}
+}
+
+//a new chunk may start when there is a free slot and the Readable side still has room,
+//or has asked for more through _read. when ordered, results parked behind a slow chunk
+//hold on to their slot as well.
+function canAcceptMore(stream) {
+	var ts = stream._transformState;
+	var rs = stream._readableState;
+	var outstanding = ts.ordered ? ts.seq - ts.nextOut : ts.inFlight;
+	return outstanding < ts.concurrency && (ts.needTransform || rs.length < rs.highWaterMark);
+}
+
+function releaseWrite(stream) {
+	var ts = stream._transformState;
+	if(ts.heldcb && canAcceptMore(stream)){
+		var cb = ts.heldcb;
+		ts.heldcb = null;
+		cb();
+	}
+}
+
+function afterConcurrentTransform(stream, seq, err, data) {
+	var ts = stream._transformState;
+	ts.inFlight--;
+
+	if(stream._readableState.destroyed){
+		return;
+	}
+
 	if(err){
-		return stream.emit('error', err);
+		ts.results.clear();
+		return stream.destroy(err);
 	}
 
-	if(data !== null && data !== undefined){
+	if(ts.ordered){
+		var entry = ts.results.get(seq);
+		if(data !== null && data !== undefined){
+			entry.chunks.push(data);
+		}
+		entry.done = true;
+		advanceOrdered(stream);
+	}else{
+		pushOutput(stream, data);
+	}
+
+	releaseWrite(stream);
+
+	if(ts.flushPending && ts.inFlight === 0){
+		ts.flushPending = false;
+		flush(stream);
+	}
+}
+
+//output of the chunk next in line goes straight out, the rest waits for its turn.
+//waiting output is held to the Readable side's highWaterMark, like the Readable buffer itself.
+function pushInOrder(stream, seq, value) {
+	var ts = stream._transformState;
+	var rs = stream._readableState;
+	if(value === null || value === undefined){
+		return true;
+	}
+	if(!ts.ordered || seq === ts.nextOut){
+		return stream.push(value);
+	}
+	var entry = ts.results.get(seq);
+	entry.chunks.push(value);
+	entry.length += rs.objectMode ? 1 : value.length;
+	return entry.length < rs.highWaterMark;
+}
+
+//push what's waiting for the chunks that are now next in line, moving past the finished ones.
+function advanceOrdered(stream) {
+	var ts = stream._transformState;
+	var entry;
+	while((entry = ts.results.get(ts.nextOut))){
+		var chunks = entry.chunks;
+		entry.chunks = [];
+		entry.length = 0;
+		for(var i = 0; i < chunks.length; i++){
+			stream.push(chunks[i]);
+		}
+		//still running, its next output can go straight out.
+		if(!entry.done){
+			break;
+		}
+		ts.results.delete(ts.nextOut);
+		ts.nextOut++;
+	}
+}
+
+/*
+* Promise and async iterable hooks
+* _transform and _flush may return a promise instead of (or as well as) calling back:
+* the resolved value is pushed like cb(null, data) and a rejection goes down the same
+* error path as cb(err). They may also return an async iterable, e.g. be async generator
+* functions; every yielded value is pushed as it's yielded, and the next one isn't pulled
+* while push() returns false, until the Readable side asks for more through _read.
+* A hook that completes twice is reported with an 'error' event.
+*/
+
+//list of chunks produced by a transformBatch hook, pushed one by one.
+function TransformOutput(chunks) {
+	this.chunks = chunks;
+}
+
+function pushOutput(stream, data) {
+	if(data instanceof TransformOutput){
+		for(var i = 0; i < data.chunks.length; i++){
+			pushOutput(stream, data.chunks[i]);
+		}
+	}else if(data !== null && data !== undefined){
 		stream.push(data);
 	}
+}
+
+//calls 'hook' with 'args' plus a callback and settles 'cb' exactly once,
+//whichever way the hook signals completion.
+//'push' takes values yielded by an async iterable hook, by default they go straight to the Readable side.
+function callHook(stream, hook, name, args, cb, push) {
+	var completed = false;
+
+	if(!push){
+		push = function(value) {
+			return value === null || value === undefined || stream.push(value);
+		};
+	}
+
+	function complete(err, data) {
+		if(completed){
+			return stream.emit('error', new Error(name + ' completed more than once'));
+		}
+		completed = true;
+		cb(err, data);
+	}
+
+	var result = hook.apply(stream, args.concat(complete));
+
+	if(result === null || (typeof result !== 'object' && typeof result !== 'function')){
+		return;
+	}
+
+	if(typeof result.then === 'function'){
+		result.then(function(data) {
+			//an async hook that called back itself and resolves to nothing is fine.
+			if(completed && data === undefined){
+				return;
+			}
+			complete(null, data);
+		}, function(err) {
+			if(!err){
+				err = new Error(name + ' rejected with ' + err);
+			}
+			if(completed){
+				return stream.emit('error', err);
+			}
+			complete(err);
+		});
+	}else if(typeof result[Symbol.asyncIterator] === 'function'){
+		pushChunks(stream, result, push).then(function() {
+			complete(null);
+		}, function(err) {
+			complete(err || new Error(name + ' iterator failed'));
+		});
+	}
+}
+
+//pulls values out of an async iterable and hands them to push(), one at a time.
+//when push() says the Readable side is full, waits for _read before pulling again.
+//a destroyed stream stops the iterable through its return().
+function pushChunks(stream, iterable, push) {
+	var iterator = iterable[Symbol.asyncIterator]();
+
+	function next() {
+		if(stream._readableState.destroyed){
+			if(typeof iterator.return === 'function'){
+				return Promise.resolve(iterator.return()).then(function() {});
+			}
+			return Promise.resolve();
+		}
+
+		return iterator.next().then(function(result) {
+			if(result.done){
+				return;
+			}
+			if(push(result.value)){
+				return next();
+			}
+			return waitForRead(stream).then(next);
+		});
+	}
+
+	return next();
+}
+
+function waitForRead(stream) {
+	var ts = stream._transformState;
+	return new Promise(function(resolve) {
+		ts.readWaiters.push(resolve);
+	});
+}
+
+function wakeReadWaiters(ts) {
+	if(ts.readWaiters.length === 0){
+		return;
+	}
+	var waiters = ts.readWaiters;
+	ts.readWaiters = [];
+	for(var i = 0; i < waiters.length; i++){
+		waiters[i]();
+	}
+}
+
+//waiting hooks find the stream destroyed once they wake up and stop there.
+Transform.prototype._destroy = function(err, cb) {
+	wakeReadWaiters(this._transformState);
+	cb(err);
+};
+
+function done(stream, err, data) {
+	if(err){
+		return stream.emit('error', err);
+	}
+
+	pushOutput(stream, data);
 
 	// check state and end Readable part 
 	// if there's nothing in the write buffer, then that means
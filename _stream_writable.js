@@ -26,6 +26,7 @@ const util = require('util');
 const internalUtil = require('internal/util');
 const Stream = require('stream');
 const Buffer = require('buffer').Buffer;
+const destroyImpl = require('internal/stream/destroy');
 
 //hook up the inheritance chain, now Writable.prototype's [[prototype]] points to Stream.prototype
 util.inherits(Writable, Stream);
@@ -35,9 +36,11 @@ function nop() {}
 
 //constructor for a wrapper type that wraps buffered data chunk, encoding info, callback, and next buffered data wrapper if they exist.
 //it's similiar to list node in a linked list. Stream's internal buffer basically is a linked-list-like structure.
-function WriteReq(chunk, encoding, cb) {
+//len is the chunk's measure taken when it was written, so it is taken off state.length unchanged.
+function WriteReq(chunk, encoding, cb, len) {
 	this.chunk = chunk;
 	this.encoding = encoding;
+	this.len = len;
 	this.callback = cb;
 	this.next = null;
 }
@@ -54,10 +57,22 @@ function WritableState(options, stream) {
 		this.objectMode = this.objectMode || !!options.writableObjectMode;
 	}
 
+	//size strategy, a function that measures a chunk, see chunkLength().
+	//without it every object counts as 1 in objectMode.
+	if(options.size !== undefined && typeof options.size !== 'function'){
+		throw new TypeError('"size" option must be a function');
+	}
+	this.size = options.size || null;
+
 	//when buffer level passes highWaterMark, stream.write() returns false until buffer is flushed;
 	var hwm = options.highWaterMark;
+	//a Duplex can size its writable side on its own, writableHighWaterMark wins over highWaterMark.
+	if(stream instanceof Stream.Duplex && (options.writableHighWaterMark || options.writableHighWaterMark === 0)){
+		hwm = options.writableHighWaterMark;
+	}
 	//default highWaterMark is 16kb for buffer or 16 objects when it's on objectMode.
-	var defaultHwm = this.objectMode ? 16 : 16*1024;
+	//when chunks are measured by size(), it's 16kb in objectMode too.
+	var defaultHwm = (this.objectMode && !this.size) ? 16 : 16*1024;
 	//note: 0 is a valid value
 	this.highWaterMark = (hwm || hwm === 0) ? hwm : defaultHwm;
 	//explicitly cast to int
@@ -134,6 +149,11 @@ function WritableState(options, stream) {
 	// True if the error was already emitted and should not be thrown again
 	this.errorEmitted = false;
 
+	//flag indicates if stream has been destroyed, write() and end() are rejected after that.
+	this.destroyed = false;
+	//flag indicates if 'close' has been emitted by destroy().
+	this.closeEmitted = false;
+
 	// count buffered requests
 	this.bufferedRequestCount = 0;
 
@@ -188,6 +208,10 @@ function Writable(options) {
 		if(typeof options.writev === 'function'){
 			this._writev = options.writev
 		}
+
+		if(typeof options.destroy === 'function'){
+			this._destroy = options.destroy;
+		}
 	}
 }
 
@@ -198,6 +222,13 @@ Writable.prototype.pipe = function() {
 };
 
 
+//function for handling calling to write() method after a stream is destroyed.
+//no 'error' is emitted because destroyed stream has already emitted its 'error'/'close', only the callback gets the error.
+function writeAfterDestroy(stream, cb) {
+	var err = new Error('Cannot call write after a stream was destroyed');
+	process.nextTick(cb, err);
+}
+
 //function for handling calling to write() method after a stream is ended. An error would be emitted.
 function writeAfterEnd(stream, cb) {
 	var err = new Error('write after end');
@@ -262,7 +293,9 @@ Writable.prototype.write = function(chunk, encoding, cb) {
 			cb = nop;
 		}
 
-		if(state.ended){
+		if(state.destroyed){
+			writeAfterDestroy(this, cb);
+		}else if(state.ended){
 			//when you call write after stream's ended.
 			//an error will be emitted and callback gets called on by process.nextTick(cb, error) with error as first argument.
 			writeAfterEnd(this, cb);
@@ -276,6 +309,82 @@ Writable.prototype.write = function(chunk, encoding, cb) {
 		return ret;
 };
 
+/*
+* Introspection API, a supported way to look at WritableState instead of reaching into _writableState.
+*   writableLength: amount of data waiting to be written, in bytes/characters, objects, or size() units.
+*   writableHighWaterMark: highWaterMark of writable side.
+*   writableCorked: number of uncork() calls needed to fully uncork the stream.
+*   writableNeedDrain: true if write() has returned false and 'drain' is not emitted yet.
+*   writableEnded: true once end() has been called.
+*   writableFinished: true once 'finish' has been emitted.
+*   writableObjectMode: whether writable side is in objectMode.
+*   writableDestroyed: whether stream has been destroyed.
+* getStreamState() returns a plain snapshot object that can be logged.
+*/
+Object.defineProperties(Writable.prototype, {
+	writableLength: {
+		get: function() {
+			return this._writableState.length;
+		}
+	},
+	writableHighWaterMark: {
+		get: function() {
+			return this._writableState.highWaterMark;
+		}
+	},
+	writableCorked: {
+		get: function() {
+			return this._writableState.corked;
+		}
+	},
+	writableNeedDrain: {
+		get: function() {
+			return this._writableState.needDrain;
+		}
+	},
+	writableEnded: {
+		get: function() {
+			return this._writableState.ending;
+		}
+	},
+	writableFinished: {
+		get: function() {
+			return this._writableState.finished;
+		}
+	},
+	writableObjectMode: {
+		get: function() {
+			return this._writableState.objectMode;
+		}
+	},
+	writableDestroyed: {
+		get: function() {
+			return this._writableState.destroyed;
+		}
+	}
+});
+
+Writable.prototype.getStreamState = function getStreamState() {
+	var state = this._writableState;
+	return {
+		type: this.constructor.name,
+		writable: {
+			length: state.length,
+			highWaterMark: state.highWaterMark,
+			objectMode: state.objectMode,
+			corked: state.corked,
+			writing: state.writing,
+			bufferedRequestCount: state.bufferedRequestCount,
+			pendingcb: state.pendingcb,
+			needDrain: state.needDrain,
+			ending: state.ending,
+			ended: state.ended,
+			finished: state.finished,
+			destroyed: state.destroyed
+		}
+	};
+};
+
 //method forces all written data to be buffered in memory. 
 //The buffered data will be flushed when either the stream.uncork() or stream.end() methods are called.
 Writable.prototype.cork = function() {
@@ -344,8 +453,8 @@ function writeOrBuffer(stream, state, chunk, encoding, cb) {
 		encoding = 'buffer';
 	}
 
-	//get current writing chunk's length
-	var len = state.objectMode ? 1 : chunk.length;
+	//get current writing chunk's length, measured by size strategy when there is one.
+	var len = chunkLength(state, chunk);
 
 	//add len to buffered data's total length
 	state.length += len;
@@ -362,7 +471,7 @@ function writeOrBuffer(stream, state, chunk, encoding, cb) {
 	if(state.writing || state.corked){
 		//if stream is writing or corked, then wrap incoming data in a WriteReq object and append it to the buffer chain.
 		var last = state.lastBufferedRequest;
-		state.lastBufferedRequest = new WriteReq(chunk, encoding, cb);
+		state.lastBufferedRequest = new WriteReq(chunk, encoding, cb, len);
 
 		if(last){
 			last.next = state.lastBufferedRequest;
@@ -379,6 +488,21 @@ function writeOrBuffer(stream, state, chunk, encoding, cb) {
 	return ret; //return false when buffer.length >= hwm, true when buffer.length < hwm.
 }
 
+//measure a chunk against highWaterMark.
+//by default it's 1 for every object in objectMode and number of bytes/characters otherwise.
+//with options.size, it's whatever size(chunk) returns, so write() and needDrain reflect real memory pressure.
+//it's only called once per chunk, in writeOrBuffer().
+function chunkLength(state, chunk) {
+	if(state.size){
+		var len = state.size(chunk);
+		if(typeof len !== 'number' || !(len >= 0) || len === Infinity){
+			throw new TypeError('size() must return a non-negative finite number');
+		}
+		return len;
+	}
+	return state.objectMode ? 1 : chunk.length;
+}
+
 //this function performs writing and passes chunk to underlying dat sink by calling either _writev or _write.
 function doWrite(stream, state, writev, len, chunk, encoding, cb) {
 	//length of the chunk that gets passed to the underlying data sink.
@@ -534,7 +658,7 @@ function clearBuffer(stream, state) {
 			var chunk = entry.chunk;
 			var encoding = entry.encoding;
 			var cb = entry.callback;
-			var len = state.objectMode ? 1 : chunk.length;
+			var len = entry.len;
 
 			//call doWrite to enter a new writing phase. 
 			//because we are in the middle of buffer processing, so next time to onwrite won't call clearBuffer function, otherwise we're going to have an infinite loop. 
@@ -563,6 +687,15 @@ Writable.prototype._write = function(chunk, encoding, cb) {
 
 Writable.prototype._writev = null;
 
+//tear down the stream, see internal/stream/destroy.
+Writable.prototype.destroy = destroyImpl.destroy;
+
+//hook for implementers to release underlying resources, call cb(err) when done.
+//default implementation has nothing to release.
+Writable.prototype._destroy = function(err, cb) {
+	cb(err);
+};
+
 //optionally send last piece of data and indicate that no more incoming data to this stream. 
 Writable.prototype.end = function(chunk, encoding, cb) {
 	var state = this._writableState;
@@ -578,6 +711,14 @@ Writable.prototype.end = function(chunk, encoding, cb) {
 		encoding = null;		
 	}
 
+	//destroyed stream never finishes, hand the error to callback and do nothing else.
+	if(state.destroyed){
+		if(typeof cb === 'function'){
+			process.nextTick(cb, new Error('Cannot call end after a stream was destroyed'));
+		}
+		return;
+	}
+
 	//if there is chunk to be written to the stream, call write() method to write the data. 
 	if(chunk !== null && chunk !== undefined){
 		this.write(chunk, encoding);
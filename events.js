@@ -17,6 +17,9 @@
 
 var domain;
 
+//method name that emitter can define to handle rejections captured from async listeners.
+const kRejection = Symbol.for('nodejs.rejection');
+
 //helper type
 //constructor for creating an "clean" object used as container for storing event/listener pairs.
 //"clean" means EventHandlers.prototype object is the endpoint of prototype chain. There's no links to Object.prototype.
@@ -25,9 +28,10 @@ function EventHandlers() {
 }
 
 //EventEmitter Constructor, in current version this is the only function that 'events' module exposes.
-function EventEmitter() {
+//optional opts object turns on opt-in features, see EventEmitter.init for details.
+function EventEmitter(opts) {
 	//run init function on every new creating instance of EventEmitter or any pass-in object using call/apply
-	EventEmitter.init.call(this);
+	EventEmitter.init.call(this, opts);
 }
 
 //'events' module now only exposes this EventEmitter Constructor function
@@ -38,10 +42,27 @@ EventEmitter.EventEmitter = EventEmitter;
 
 EventEmitter.usingDomains = false;
 
+//when true, every emitter records the stack trace of where each listener is added.
+//used by leak warnings and emitter.getListenerOrigins(type), turn it on in tests or while debugging, it's not free.
+EventEmitter.captureListenerStacks = false;
+
+//expose the symbol so emitters can define emitter[EventEmitter.captureRejectionSymbol](err, type, ...args).
+EventEmitter.captureRejectionSymbol = kRejection;
+
 
 EventEmitter.prototype.domain = undefined;
 EventEmitter.prototype._events = undefined;
 EventEmitter.prototype._maxListeners = undefined;
+EventEmitter.prototype._wildcard = false;
+EventEmitter.prototype._delimiter = ':';
+EventEmitter.prototype._listenerOrder = undefined;
+EventEmitter.prototype._captureRejections = false;
+EventEmitter.prototype._listenerOrigins = undefined;
+EventEmitter.prototype._eventContracts = undefined;
+EventEmitter.prototype._strictEvents = false;
+EventEmitter.prototype._parent = null;
+EventEmitter.prototype._recorders = undefined;
+EventEmitter.prototype._eventStats = undefined;
 
 
 //use accessor property to define defaultMaxListeners from all instances of EventEmitter.
@@ -71,7 +92,16 @@ Object.defineProperty(EventEmitter, "defaultMaxListeners", {
 //used to initialize new creating EventEmitter instance.
 //after running through this initialization function, every instance of EventEmitter should have four properties:
 //domain, _event, _eventsCount, _maxListeners
-EventEmitter.init = function(){
+//
+//opts is optional and enables opt-in features of emitter:
+//	opts.wildcard: when true, listeners can be added to patterns like 'job:*' or '**'.
+//	opts.delimiter: string that separates segments of event names in wildcard mode, default set to ':'.
+//	opts.captureRejections: when true, rejected promises returned from listeners are routed to 'error' event.
+//	opts.events: declaration of events this emitter supports, see "Event contracts" section below.
+//	opts.strict: when true, emit() and _addListener() check events against the declaration.
+//	opts.parent: parent emitter that receives events nobody listens to on this emitter, see setParent().
+//	opts.eventStats: true or an options object for enableEventStats(), turns on per-emitter event metrics.
+EventEmitter.init = function(opts){
 	//inside this init function, 'this' refers to new creating instance of type EventEmitter
 
 	//domain initialization section
@@ -93,6 +123,48 @@ EventEmitter.init = function(){
 
 	//creates _maxListeners property in every instance
 	this._maxListeners = this._maxListeners || undefined;
+
+	//wildcard mode initialization section
+	//_listenerOrder keeps every {type, listener} pair in registration order, because exact and pattern listeners
+	//live under different keys of _events and emit needs to dispatch to them in the order they were added.
+	if(opts && opts.wildcard){
+		this._wildcard = true;
+		if(typeof opts.delimiter === 'string' && opts.delimiter.length > 0){
+			this._delimiter = opts.delimiter;
+		}
+		this._listenerOrder = [];
+	}
+
+	//capture rejections initialization section
+	if(opts && opts.captureRejections !== undefined){
+		if(typeof opts.captureRejections !== 'boolean'){
+			throw new TypeError('"captureRejections" option must be a boolean');
+		}
+		this._captureRejections = opts.captureRejections;
+	}
+
+	//event contracts initialization section
+	if(opts && opts.events !== undefined){
+		if(opts.events === null || typeof opts.events !== 'object'){
+			throw new TypeError('"events" option must be an object');
+		}
+		this._eventContracts = new EventHandlers();
+		var names = Reflect.ownKeys(opts.events);
+		for(var i = 0; i < names.length; i++){
+			this._eventContracts[names[i]] = opts.events[names[i]];
+		}
+		this._strictEvents = !!opts.strict;
+	}
+
+	//parent emitter initialization section
+	if(opts && opts.parent){
+		this.setParent(opts.parent);
+	}
+
+	//event metrics initialization section
+	if(opts && opts.eventStats){
+		this.enableEventStats(opts.eventStats === true ? undefined : opts.eventStats);
+	}
 }
 
 
@@ -132,6 +204,7 @@ function $getMaxListeners(that) {
 *  Emit method, emit a named event on emitter and all listeners to that event get called synchronously.
 *  When there are more than one listener for any specific event, Listeners are not getting invoked directly when that event gets emitted. 
 *  A copy of listeners array gets created and copied listeners get called one by one.
+*  Listeners array is always sorted by priority(see _addListener), so copied listeners get called in priority order.
 */
 // Quote from the source code comment:
 // These standalone emit* functions are used to optimize calling of event
@@ -141,74 +214,256 @@ function $getMaxListeners(that) {
 // inside them can execute faster.
 
 //cases when no argument is passed to the listeners 
-function emitNone(handlers, isFn, self) {
+function emitNone(handlers, isFn, self, type) {
+	var ret;
+	//instrumented emitter takes the timed path.
+	if(self._eventStats){
+		return emitTimed(handlers, isFn, self, type, []);
+	}
 	if(isFn){
 		//only one listener registered for the event.
-		handlers.call(self);
+		ret = handlers.call(self);
+		if(self._captureRejections){
+			captureRejection(self, ret, type, []);
+		}
 	}else {
 		//more than one listener, in this case there is an array of listeners
 		//invoke all registered listeners synchronously.
 		var len = handlers.length;
 		var listeners = arrayClone(handlers, len);
 		for(var i=0; i< len; ++i){
-			listeners[i].call(self);
+			ret = listeners[i].call(self);
+			if(self._captureRejections){
+				captureRejection(self, ret, type, []);
+			}
 		}
 	}
 }
 
 //cases when there is only one argument passed to the listeners 
-function emitOne(handlers, isFn, self, arg1) {
+function emitOne(handlers, isFn, self, type, arg1) {
+	var ret;
+	if(self._eventStats){
+		return emitTimed(handlers, isFn, self, type, [arg1]);
+	}
 	if(isFn){
-		handlers.call(self, arg1);
+		ret = handlers.call(self, arg1);
+		if(self._captureRejections){
+			captureRejection(self, ret, type, [arg1]);
+		}
 	}else{
 		var len = handlers.length;
 		var listeners = arrayClone(handlers, len);
-		for (var i = 0; i < listeners.length; ++i) {
-			listeners[i].call(self, arg1);
+		for (var i = 0; i < len; ++i) {
+			ret = listeners[i].call(self, arg1);
+			if(self._captureRejections){
+				captureRejection(self, ret, type, [arg1]);
+			}
 		}
 	}
 }
 
 //cases when there are two arguments passed to the listeners 
-function emitTwo(handlers, isFn, self, arg1, arg2) {
+function emitTwo(handlers, isFn, self, type, arg1, arg2) {
+	var ret;
+	if(self._eventStats){
+		return emitTimed(handlers, isFn, self, type, [arg1, arg2]);
+	}
 	if(isFn){
-		handlers.call(self, arg1, arg2);
+		ret = handlers.call(self, arg1, arg2);
+		if(self._captureRejections){
+			captureRejection(self, ret, type, [arg1, arg2]);
+		}
 	}else{
 		var len = handlers.length;
 		var listeners = arrayClone(handlers, len);
-		for (var i = 0; i < listeners.length; ++i) {
-			listeners[i].call(self, arg1, arg2);
+		for (var i = 0; i < len; ++i) {
+			ret = listeners[i].call(self, arg1, arg2);
+			if(self._captureRejections){
+				captureRejection(self, ret, type, [arg1, arg2]);
+			}
 		}
 	}
 }
 
 //cases when there are three arguments passed to the listeners 
-function emitThree(handlers, isFn, self, arg1, arg2, arg3) {
+function emitThree(handlers, isFn, self, type, arg1, arg2, arg3) {
+	var ret;
+	if(self._eventStats){
+		return emitTimed(handlers, isFn, self, type, [arg1, arg2, arg3]);
+	}
 	if(isFn){
-		handlers.call(self, arg1, arg2, arg3);
+		ret = handlers.call(self, arg1, arg2, arg3);
+		if(self._captureRejections){
+			captureRejection(self, ret, type, [arg1, arg2, arg3]);
+		}
 	}else{
 		var len = handlers.length;
 		var listeners = arrayClone(handlers, len);
-		for (var i = 0; i < listeners.length; ++i) {
-			listeners[i].call(self, arg1, arg2, arg3);
+		for (var i = 0; i < len; ++i) {
+			ret = listeners[i].call(self, arg1, arg2, arg3);
+			if(self._captureRejections){
+				captureRejection(self, ret, type, [arg1, arg2, arg3]);
+			}
 		}
 	}
 }
 
 //cases when there is an array of arguments passed to the listeners 
-function emitMany(handlers, isFn, self, args) {
+function emitMany(handlers, isFn, self, type, args) {
+	var ret;
+	if(self._eventStats){
+		return emitTimed(handlers, isFn, self, type, args);
+	}
 	if(isFn){
 		//chnage form call method to apply from an array of arguments
-		handlers.apply(self, args);
+		ret = handlers.apply(self, args);
+		if(self._captureRejections){
+			captureRejection(self, ret, type, args);
+		}
 	}else{
 		var len = handlers.length;
 		var listeners = arrayClone(handlers, len);
-		for (var i = 0; i < listeners.length; ++i) {
-			listeners[i].apply(self, args);
+		for (var i = 0; i < len; ++i) {
+			ret = listeners[i].apply(self, args);
+			if(self._captureRejections){
+				captureRejection(self, ret, type, args);
+			}
 		}
 	}
 }
 
+/*
+* Per-emitter event metrics, enabled by eventStats option or emitter.enableEventStats().
+* emit() counts emissions per type, and emit* helpers above hand instrumented emitters to emitTimed(),
+* which times every listener call with process.hrtime().
+* A listener running longer than the slow listener threshold triggers a 'SlowListenerWarning'.
+*/
+var defaultSlowListenerThreshold = 50; //milliseconds
+
+function emitTimed(handlers, isFn, self, type, args) {
+	var listeners = isFn ? [handlers] : handlers.slice();
+	for(var i = 0; i < listeners.length; i++){
+		var listener = listeners[i];
+		var start = process.hrtime();
+		var ret;
+		try {
+			ret = listener.apply(self, args);
+		} finally {
+			var diff = process.hrtime(start);
+			recordListenerTime(self, type, listener, diff[0] * 1e3 + diff[1] / 1e6);
+		}
+		if(self._captureRejections){
+			captureRejection(self, ret, type, args);
+		}
+	}
+}
+
+//get stats entry of given type, creates one on first use.
+function getTypeStats(self, type) {
+	var types = self._eventStats.types;
+	return types[type] || (types[type] = { emits: 0, listenerCalls: 0, totalTime: 0, maxTime: 0 });
+}
+
+function recordListenerTime(self, type, listener, duration) {
+	var stats = self._eventStats;
+	//stats could be turned off by the listener itself
+	if(!stats){
+		return;
+	}
+	var entry = getTypeStats(self, type);
+	entry.listenerCalls++;
+	entry.totalTime += duration;
+	if(duration > entry.maxTime){
+		entry.maxTime = duration;
+	}
+
+	if(stats.threshold > 0 && duration > stats.threshold){
+		var original = listener.listener || listener;
+		var w = new Error(`Listener ${original.name || '(anonymous)'} for "${String(type)}" event took ` +
+						`${duration.toFixed(3)}ms, longer than ${stats.threshold}ms`);
+		w.name = 'SlowListenerWarning';
+		w.emitter = self;
+		w.type = type;
+		w.listener = original;
+		w.duration = duration;
+		process.emitWarning(w);
+	}
+}
+
+//turn on instrumentation, options.slowListenerThreshold is in milliseconds(0 disables warnings).
+//calling it again resets collected stats.
+EventEmitter.prototype.enableEventStats = function enableEventStats(options) {
+	var threshold = options && options.slowListenerThreshold;
+	if(threshold === undefined){
+		threshold = defaultSlowListenerThreshold;
+	}else if(typeof threshold !== 'number' || threshold < 0 || isNaN(threshold)){
+		throw new TypeError('"slowListenerThreshold" option must be a positive number');
+	}
+	this._eventStats = { threshold: threshold, types: new EventHandlers() };
+	return this;
+};
+
+EventEmitter.prototype.disableEventStats = function disableEventStats() {
+	this._eventStats = undefined;
+	return this;
+};
+
+//snapshot of collected stats, an object that maps event type to
+//{emits, listenerCalls, totalTime, maxTime, averageTime}, times are in milliseconds.
+//an empty object is returned when instrumentation is off.
+EventEmitter.prototype.getEventStats = function getEventStats() {
+	var ret = {};
+	if(!this._eventStats){
+		return ret;
+	}
+	var types = this._eventStats.types;
+	var keys = Reflect.ownKeys(types);
+	for(var i = 0; i < keys.length; i++){
+		var entry = types[keys[i]];
+		ret[keys[i]] = {
+			emits: entry.emits,
+			listenerCalls: entry.listenerCalls,
+			totalTime: entry.totalTime,
+			maxTime: entry.maxTime,
+			averageTime: entry.listenerCalls > 0 ? entry.totalTime / entry.listenerCalls : 0
+		};
+	}
+	return ret;
+};
+
+/*
+* Capture rejections of async listeners, enabled by captureRejections option.
+* When a listener returns a promise(or any thenable) and it gets rejected, the rejection is routed to
+* emitter[Symbol.for('nodejs.rejection')](err, type, ...args) if emitter defines that method,
+* otherwise to emitter's 'error' event. It happens on next tick, so it's outside of the rejected promise chain.
+*/
+function captureRejection(self, ret, type, args) {
+	if(ret === undefined || ret === null || typeof ret.then !== 'function'){
+		return;
+	}
+	ret.then(undefined, function(err) {
+		process.nextTick(emitRejection, self, err, type, args);
+	});
+}
+
+function emitRejection(self, err, type, args) {
+	if(typeof self[kRejection] === 'function'){
+		self[kRejection].apply(self, [err, type].concat(args));
+		return;
+	}
+
+	//turn off capturing while emitting 'error', so that an async 'error' listener
+	//rejecting doesn't loop back into 'error' again.
+	var prev = self._captureRejections;
+	self._captureRejections = false;
+	try {
+		self.emit('error', err);
+	} finally {
+		self._captureRejections = prev;
+	}
+}
+
 //emit method, it does three things: check error, handle domain and call listeners. 
 //error event is special. If an error event occurs and no error listener has registered yet, that error would be thrown. Otherwise, emits like other events.
 EventEmitter.prototype.emit = function(type){
@@ -216,19 +471,45 @@ EventEmitter.prototype.emit = function(type){
 	var needDomainExit = false;
 	var doError = (type === 'error'); //check if an error event
 
+	//in strict mode, unknown events and wrong arguments throw before any listener gets called.
+	if(this._strictEvents){
+		checkContract(this, type, arguments);
+	}
+
+	//hand the emission to active recorders, see EventRecorder.
+	if(this._recorders){
+		recordEmit(this, arguments);
+	}
+
+	//count emissions per type when instrumentation is on.
+	if(this._eventStats){
+		getTypeStats(this, type).emits++;
+	}
+
 	events = this._events;
 	if(events){
 		//only set doError to true when an error event gets emitted and this's no registered error listener.
-		doError = (doError && events.error == null);
+		//in wildcard mode, pattern listeners like '**' count as error listeners too.
+		if(this._wildcard){
+			doError = (doError && !matchedListeners(this, 'error'));
+		}else{
+			doError = (doError && events.error == null);
+		}
 	}else if(!doError){
 		//when emitter does't have any listeners and event is not an error event, simply returning false indicated no listener gets called.
-		return false;
+		//unless there is a parent emitter, which receives unhandled events.
+		return this._parent ? this._parent.emit.apply(this._parent, arguments) : false;
 	}
 
 	domain = this.domain;
 
 	//when error and no error event listener, then throw error.
 	if(doError){
+		//bubble the error up to parent emitter first, it throws only if nobody up the chain handles it.
+		if(this._parent){
+			return this._parent.emit.apply(this._parent, arguments);
+		}
+
 		//gets second arguments
 		er = arguments[1];
 		if(domain){
@@ -253,11 +534,13 @@ EventEmitter.prototype.emit = function(type){
 		return false;
 	}
 
-	handler = events[type]; //references to listener/listeners for given event type
+	//references to listener/listeners for given event type
+	//in wildcard mode, it's an array of exact and pattern listeners in registration order.
+	handler = this._wildcard ? matchedListeners(this, type) : events[type];
 
-	//no registered listener found for given event type, then return false.
+	//no registered listener found for given event type, then bubble it up to parent emitter or return false.
 	if(!handler){
-		return false;
+		return this._parent ? this._parent.emit.apply(this._parent, arguments) : false;
 	}
 
 	if(domain && this !== process){
@@ -272,16 +555,16 @@ EventEmitter.prototype.emit = function(type){
 	switch (len) {
 		//fast cases
 		case 1: 
-			emitNone(handler, isFn, this);
+			emitNone(handler, isFn, this, type);
 			break;
 		case 2: 
-			emitOne(handler, isFn, this, arguments[1]);
+			emitOne(handler, isFn, this, type, arguments[1]);
 			break;
 		case 3: 
-			emitTwo(handler, isFn, this, arguments[1], arguments[2]);
+			emitTwo(handler, isFn, this, type, arguments[1], arguments[2]);
 			break;
 		case 4: 
-			emitThree(handler, isFn, this, arguments[1], arguments[2], arguments[3]);
+			emitThree(handler, isFn, this, type, arguments[1], arguments[2], arguments[3]);
 			break;
 		//slower
 		default:
@@ -289,7 +572,7 @@ EventEmitter.prototype.emit = function(type){
 			for(i = 1; i < len; i++){
 				args[i-1] = arguments[i];
 			}
-			emitMany(handler, isFn, this, args);
+			emitMany(handler, isFn, this, type, args);
 	}
 
 	if(needDomainExit){
@@ -299,6 +582,412 @@ EventEmitter.prototype.emit = function(type){
 	return true;
 };
 
+/*
+* Event bubbling and forwarding.
+* An emitter can have a parent emitter, every event emitted without any listener on this emitter(including 'error')
+* is emitted on the parent with the same arguments, which may in turn bubble it to its own parent.
+* emit() returns what the parent's emit() returns, and 'error' only gets thrown when no emitter up the chain handles it.
+*/
+EventEmitter.prototype.setParent = function setParent(parent) {
+	if(parent !== null && (typeof parent !== 'object' || typeof parent.emit !== 'function')){
+		throw new TypeError('"parent" argument must be an EventEmitter or null');
+	}
+
+	//walk up the chain, a cycle would bounce unhandled events back and forth forever.
+	for(var p = parent; p; p = p._parent){
+		if(p === this){
+			throw new Error('Cannot set parent, it would create a cycle of emitters');
+		}
+	}
+
+	this._parent = parent;
+	return this;
+};
+
+EventEmitter.prototype.getParent = function getParent() {
+	return this._parent;
+};
+
+/*
+* forward(target, names[, options]) re-emits given events of this emitter on target emitter.
+* names is an event name or an array of event names, options.prefix is prepended to forwarded string names.
+* Returns a disposer function that removes all forwarding listeners, calling it more than once is harmless.
+*/
+EventEmitter.prototype.forward = function forward(target, names, options) {
+	if(!target || typeof target.emit !== 'function'){
+		throw new TypeError('"target" argument must be an EventEmitter');
+	}
+
+	var source = this;
+	var prefix = (options && options.prefix) || '';
+	var forwarders = [].concat(names).map(function(name) {
+		var targetName = (prefix && typeof name === 'string') ? prefix + name : name;
+		function forwarder() {
+			var args = new Array(arguments.length + 1);
+			args[0] = targetName;
+			for(var i = 0; i < arguments.length; i++){
+				args[i + 1] = arguments[i];
+			}
+			return target.emit.apply(target, args);
+		}
+		source.on(name, forwarder);
+		return { name: name, listener: forwarder };
+	});
+
+	return function dispose() {
+		var entry;
+		while((entry = forwarders.pop())){
+			source.removeListener(entry.name, entry.listener);
+		}
+	};
+};
+
+//alias to forward method
+EventEmitter.prototype.pipeEvents = EventEmitter.prototype.forward;
+
+/*
+* Record and replay of events, mostly for testing components built on EventEmitter.
+* An EventRecorder hooks into emit() of one emitter and keeps a log entry for every emit() call
+* (whether or not there are listeners), entry is {type, args, time} where time is milliseconds since recording started.
+* Arguments are serialized when recorded, so the log is a snapshot that can go through JSON.stringify():
+* Errors become {$error: {name, message, stack}}, Buffers use their toJSON() form, functions are dropped from objects
+* and become null as arguments or array items(like undefined), a reference back to an enclosing object becomes
+* '[Circular]'(shared, non-circular references are serialized in full), and an argument that still can't be
+* serialized becomes '[Unserializable]'. Every argument is kept, so replay emits with the recorded arity. Events with Symbol names are not recorded.
+* options.types: event name or an array of event names to record, all events are recorded by default.
+*/
+function EventRecorder(emitter, options) {
+	if(!(this instanceof EventRecorder)){
+		return new EventRecorder(emitter, options);
+	}
+
+	if(!emitter || typeof emitter.emit !== 'function'){
+		throw new TypeError('"emitter" argument must be an EventEmitter');
+	}
+
+	options = options || {};
+	this.emitter = emitter;
+	this.types = options.types === undefined ? null : [].concat(options.types);
+	this.events = [];
+	this.recording = false;
+	this._startTime = null;
+}
+
+EventEmitter.EventRecorder = EventRecorder;
+
+//start recording, returns recorder to enable chaining.
+EventRecorder.prototype.start = function start() {
+	if(this.recording){
+		return this;
+	}
+	var emitter = this.emitter;
+	if(!emitter._recorders){
+		emitter._recorders = [];
+	}
+	emitter._recorders.push(this);
+	this.recording = true;
+	if(this._startTime === null){
+		this._startTime = process.hrtime();
+	}
+	return this;
+};
+
+//stop recording, log is kept and recording can be started again later.
+EventRecorder.prototype.stop = function stop() {
+	if(!this.recording){
+		return this;
+	}
+	var emitter = this.emitter;
+	var i = emitter._recorders.indexOf(this);
+	spliceOne(emitter._recorders, i);
+	if(emitter._recorders.length === 0){
+		emitter._recorders = undefined;
+	}
+	this.recording = false;
+	return this;
+};
+
+//serializable form of the recording, this is what EventEmitter.replay() consumes.
+EventRecorder.prototype.toJSON = function toJSON() {
+	return { events: this.events.slice() };
+};
+
+//shortcut to create a recorder for this emitter and start it.
+EventEmitter.prototype.record = function record(options) {
+	return new EventRecorder(this, options).start();
+};
+
+//called by emit(), args is the arguments object of emit() including type.
+function recordEmit(emitter, args) {
+	var type = args[0];
+	if(typeof type === 'symbol'){
+		return;
+	}
+
+	var recorders = emitter._recorders.slice();
+	for(var i = 0; i < recorders.length; i++){
+		var recorder = recorders[i];
+		if(recorder.types && recorder.types.indexOf(type) === -1){
+			continue;
+		}
+		var diff = process.hrtime(recorder._startTime);
+		recorder.events.push({
+			type: type,
+			args: serializeArgs(sliceArgs(args, 1)),
+			time: diff[0] * 1e3 + diff[1] / 1e6
+		});
+	}
+}
+
+//serialize every argument on its own, so one bad argument doesn't take the others with it.
+function serializeArgs(args) {
+	var result = new Array(args.length);
+	for(var i = 0; i < args.length; i++){
+		result[i] = serializeArg(args[i]);
+	}
+	return result;
+}
+
+//only a real cycle is marked '[Circular]', an object shared by several properties is serialized every time.
+function serializeArg(arg) {
+	//objects from the argument down to the value being serialized.
+	var ancestors = [];
+	var json;
+	try {
+		json = JSON.stringify(arg, function(key, value) {
+			//'this' is the object holding value, leave the branches JSON.stringify is done with.
+			while(ancestors.length > 0 && ancestors[ancestors.length - 1] !== this){
+				ancestors.pop();
+			}
+			if(value instanceof Error){
+				value = { $error: { name: value.name, message: value.message, stack: value.stack } };
+			}else if(typeof value === 'bigint'){
+				return value.toString();
+			}
+			if(value !== null && typeof value === 'object'){
+				if(ancestors.indexOf(value) !== -1){
+					return '[Circular]';
+				}
+				ancestors.push(value);
+			}
+			return value;
+		});
+	} catch(_) {
+		return '[Unserializable]';
+	}
+	//functions and undefined have no JSON form at all.
+	return json === undefined ? null : JSON.parse(json);
+}
+
+//revive Errors and Buffers at any depth of recorded arguments.
+function deserializeArgs(args) {
+	return JSON.parse(JSON.stringify(args), function(key, value) {
+		if(value && typeof value === 'object'){
+			if(value.$error){
+				var err = new Error(value.$error.message);
+				err.name = value.$error.name;
+				err.stack = value.$error.stack;
+				return err;
+			}
+			if(value.type === 'Buffer' && Array.isArray(value.data)){
+				return Buffer.from(value.data);
+			}
+		}
+		return value;
+	});
+}
+
+/*
+* EventEmitter.replay(recording, target[, options]) emits recorded events on target emitter in recorded order.
+* recording can be a recorder, its toJSON() result, a JSON string of that, or a plain array of log entries.
+* By default events are replayed as fast as possible(synchronously, one after another).
+* options.realtime: when true, gaps between events follow recorded time.
+* options.speed: multiplier of replay speed in realtime mode, default set to 1.
+* Returns a promise that gets resolved with the number of replayed events, or rejected if a listener throws.
+*/
+EventEmitter.replay = function(recording, target, options) {
+	options = options || {};
+	var speed = options.speed === undefined ? 1 : options.speed;
+
+	if(!target || typeof target.emit !== 'function'){
+		throw new TypeError('"target" argument must be an EventEmitter');
+	}
+	if(typeof speed !== 'number' || !(speed > 0)){
+		throw new TypeError('"speed" option must be a positive number');
+	}
+
+	if(typeof recording === 'string'){
+		recording = JSON.parse(recording);
+	}
+	var events = Array.isArray(recording) ? recording : recording && recording.events;
+	if(!Array.isArray(events)){
+		throw new TypeError('"recording" argument must be a recorder or a recorded log');
+	}
+
+	function replayOne(entry) {
+		target.emit.apply(target, [entry.type].concat(deserializeArgs(entry.args || [])));
+	}
+
+	if(!options.realtime){
+		return new Promise(function(resolve) {
+			events.forEach(replayOne);
+			resolve(events.length);
+		});
+	}
+
+	return new Promise(function(resolve, reject) {
+		var index = 0;
+		var startTime = Date.now();
+
+		//schedule next event relative to replay start, so timer drift doesn't add up.
+		function next() {
+			if(index >= events.length){
+				return resolve(events.length);
+			}
+			var delay = events[index].time / speed - (Date.now() - startTime);
+			setTimeout(function() {
+				try {
+					replayOne(events[index++]);
+				} catch(err) {
+					return reject(err);
+				}
+				next();
+			}, delay > 0 ? delay : 0);
+		}
+
+		next();
+	});
+};
+
+/*
+* Async-aware emit methods.
+* emit() ignores values returned from listeners, so a rejected promise returned from an async listener gets lost.
+* emitAsync(type, ...args) calls all listeners right away like emit() does(so they run concurrently),
+* and returns a promise that waits for all returned values to settle.
+* emitSerial(type, ...args) calls listeners one by one, waits for the returned value of each listener to settle before calling next one.
+* Both promises get resolved with an array of values returned from listeners in dispatch order.
+* If any listener throws or rejects, the promise gets rejected with an aggregated error after all listeners settle,
+* its errors property holds one {error, listener, index} record for every failed listener.
+*/
+EventEmitter.prototype.emitAsync = function emitAsync(type) {
+	var self = this;
+	var args = sliceArgs(arguments, 1);
+	var handlers = dispatchList(this, type);
+	var failures = [];
+
+	if(handlers.length === 0){
+		return type === 'error' ? Promise.reject(unhandledError(args[0])) : Promise.resolve([]);
+	}
+
+	var pending = handlers.map(function(listener, index) {
+		return new Promise(function(resolve) {
+			resolve(listener.apply(self, args));
+		}).then(null, function(err) {
+			failures.push(listenerFailure(err, listener, index));
+		});
+	});
+
+	return Promise.all(pending).then(function(results) {
+		if(failures.length > 0){
+			throw aggregateFailures(type, failures);
+		}
+		return results;
+	});
+};
+
+EventEmitter.prototype.emitSerial = function emitSerial(type) {
+	var self = this;
+	var args = sliceArgs(arguments, 1);
+	var handlers = dispatchList(this, type);
+	var failures = [];
+	var results = new Array(handlers.length);
+	var index = 0;
+
+	if(handlers.length === 0){
+		return type === 'error' ? Promise.reject(unhandledError(args[0])) : Promise.resolve([]);
+	}
+
+	//call next listener after previous one settles.
+	function next() {
+		if(index >= handlers.length){
+			if(failures.length > 0){
+				throw aggregateFailures(type, failures);
+			}
+			return results;
+		}
+
+		var i = index++;
+		var listener = handlers[i];
+		return new Promise(function(resolve) {
+			resolve(listener.apply(self, args));
+		}).then(function(value) {
+			results[i] = value;
+		}, function(err) {
+			failures.push(listenerFailure(err, listener, i));
+		}).then(next);
+	}
+
+	return next();
+};
+
+//get a copy of listeners that emit() would call for given type, wildcard mode is taken into account.
+function dispatchList(emitter, type) {
+	var events = emitter._events;
+	var handler;
+
+	if(!events){
+		return [];
+	}
+
+	handler = emitter._wildcard ? matchedListeners(emitter, type) : events[type];
+	if(!handler){
+		return [];
+	}
+	return typeof handler === 'function' ? [handler] : handler.slice();
+}
+
+//create the error that emit() throws for an 'error' event without any listener.
+function unhandledError(er) {
+	if(er instanceof Error){
+		return er;
+	}
+	var err = new Error('Uncaught, unspecified "error" event. (' + er + ')');
+	err.context = er;
+	return err;
+}
+
+//record of a failed listener, once wrapper is unwrapped to the actual listener.
+function listenerFailure(err, listener, index) {
+	return {
+		error: err,
+		listener: listener.listener || listener,
+		index: index
+	};
+}
+
+//combine failures of listeners into one error, failures are sorted by dispatch order.
+function aggregateFailures(type, failures) {
+	failures.sort(function(a, b) {
+		return a.index - b.index;
+	});
+	var err = new Error(`${failures.length} listener(s) failed for "${String(type)}" event: ` +
+						failures[0].error);
+	err.name = 'EventListenerError';
+	err.type = type;
+	err.errors = failures;
+	return err;
+}
+
+//copy arguments object into an array starting from given index.
+function sliceArgs(args, start) {
+	var len = args.length - start;
+	var ret = new Array(len > 0 ? len : 0);
+	for(var i = 0; i < ret.length; i++){
+		ret[i] = args[i + start];
+	}
+	return ret;
+}
+
 /*
 *	Attach event listener(function) to specified named event.
 *	Listeners could have two forms:
@@ -306,12 +995,17 @@ EventEmitter.prototype.emit = function(type){
 *      Add through on(), addListener() and prependListener() methods	
 *	2. One time listener, gets invoked only once then removed from the emitter
 *	   Add through once() and prependOnceListener() methods
+*	All these methods accept an optional options object, options.priority is a number that defaults to 0.
+*	Listeners array is kept sorted by priority, higher priority listeners get invoked first.
+*	Among listeners with the same priority, append and prepend work as usual.
+*	Priorities are stored in listeners.priorities array parallel to the listeners array.
 */
 //helper function that actually appends or prepends listeners to emitter.
-function _addListener(target, type, listener, prepend) {
+function _addListener(target, type, listener, prepend, options) {
 	var m;    //store the number of maxListeners of emitter instance 
 	var events; //references to _events object of invoked emitter
 	var existing; //references to listener/listeners array of given event type
+	var priority = getPriority(options);
 
 	if(typeof listener !== 'function'){
 		throw new TypeError('"listener" argument must be a function');
@@ -339,21 +1033,55 @@ function _addListener(target, type, listener, prepend) {
 
 	if(!existing){
 		//if no listener has registered for given event type
-		existing = events[type] = listener;
+		if(priority === 0){
+			existing = events[type] = listener;
+		}else{
+			//a prioritized listener is always stored in an array to keep its priority.
+			existing = events[type] = [listener];
+			existing.priorities = [priority];
+		}
 		//update event counter 
 		++target._eventsCount;
 	}else{
 		if(typeof existing === 'function'){
-			//only have one listener attached
-			existing = events[type] = prepend ? [listener, existing] : [existing, listener];
+			//only have one listener attached, convert it to an array with default priority.
+			existing = events[type] = [existing];
+			existing.priorities = [0];
+		}
+		//already have an array of listeners
+		insertByPriority(existing, listener, priority, prepend);
+	}
+
+	//keep track of registration order across exact and pattern listeners.
+	//entries are sorted by priority the same way as listeners arrays.
+	if(target._wildcard){
+		var order = target._listenerOrder;
+		var entry = { type: type, listener: listener, priority: priority };
+		var i;
+		if(prepend){
+			for(i = 0; i < order.length && order[i].priority > priority; i++){}
 		}else{
-			//already have an array of listeners
-			if(prepend){
-				existing.unshift(listener);
-			}else{
-				existing.push(listener);
-			}
+			for(i = order.length; i > 0 && order[i - 1].priority < priority; i--){}
 		}
+		order.splice(i, 0, entry);
+	}
+
+	//in strict mode, listening to an undeclared event is most likely a typo, warn about it.
+	if(target._strictEvents && !isDeclared(target, type)){
+		var uw = new Error(`Listener added for undeclared "${String(type)}" event`);
+		uw.name = 'UndeclaredEventWarning';
+		uw.emitter = target;
+		uw.type = type;
+		process.emitWarning(uw);
+	}
+
+	//record where this listener gets added from, when EventEmitter.captureListenerStacks is on.
+	if(EventEmitter.captureListenerStacks){
+		if(!target._listenerOrigins){
+			target._listenerOrigins = new EventHandlers();
+		}
+		var origins = target._listenerOrigins[type] || (target._listenerOrigins[type] = []);
+		origins.push({ listener: listener, stack: captureStack() });
 	}
 
 	//check for listener leak
@@ -364,26 +1092,219 @@ function _addListener(target, type, listener, prepend) {
 			//process.emitWarning() and process.on("warning") are new added to the node-v6,
 			//checkout this post for more details:
 			//https://medium.com/@jasnell/introducing-process-warnings-in-node-v6-3096700537ee#.xtezd21hr
-	        process.emitWarning('Possible EventEmitter memory leak detected. ' +
-	                            `${existing.length} ${type} listeners added. ` +
-	                            'Use emitter.setMaxListeners() to increase limit');
+			//
+			//warning is an Error object carrying a structured report:
+			//	warning.emitter: the leaking emitter
+			//	warning.type: the event type
+			//	warning.count: the number of listeners of that type
+			//	warning.stacks: stack traces of where each excess listener was added. Without captureListenerStacks,
+			//	                only the stack of the listener that just passed the limit is available.
+			var w = new Error('Possible EventEmitter memory leak detected. ' +
+							`${existing.length} ${String(type)} listeners added. ` +
+							'Use emitter.setMaxListeners() to increase limit');
+			w.name = 'MaxListenersExceededWarning';
+			w.emitter = target;
+			w.type = type;
+			w.count = existing.length;
+			if(EventEmitter.captureListenerStacks){
+				//origins may be missing for listeners added before captureListenerStacks was turned on,
+				//so take the excess from the end, the listener just added is always among them.
+				var recorded = target._listenerOrigins[type];
+				var excess = Math.min(existing.length - m, recorded.length);
+				w.stacks = recorded.slice(recorded.length - excess).map(function(origin) {
+					return origin.stack;
+				});
+			}else{
+				w.stacks = [captureStack()];
+			}
+			process.emitWarning(w);
 		}
 	}
 
 	return target; //return emitter obj to enable chaining.
 }
 
+/*
+* Async iterator over emitted events, works as a function attached in EventEmitter object.
+* EventEmitter.on(emitter, name[, options]) returns an async iterator, every iteration yields an array of arguments of one emission.
+* Usage: for await (const args of EventEmitter.on(emitter, 'data')) {...}
+* Events emitted while consumer is busy get queued and yielded in order.
+* options.close: event name or an array of event names, iteration ends when one of them gets emitted.
+* An 'error' event makes the iteration throw that error.
+* All listeners get removed when iteration ends, throws, or consumer leaves the loop with break/return.
+*/
+EventEmitter.on = function(emitter, name, options) {
+	options = options || {};
+	var closeEvents = options.close === undefined ? [] : [].concat(options.close);
+
+	//queue of arguments arrays that haven't been consumed yet.
+	var unconsumedEvents = [];
+	//queue of pending next() calls waiting for events.
+	var unconsumedPromises = [];
+	//error that is going to be thrown at next call to next().
+	var error = null;
+	var finished = false;
+
+	var iterator = {
+		next: function() {
+			//consume queued events first, even after iteration gets closed.
+			var args = unconsumedEvents.shift();
+			if(args){
+				return Promise.resolve(createIterResult(args, false));
+			}
+
+			if(error){
+				var p = Promise.reject(error);
+				error = null;
+				return p;
+			}
+
+			if(finished){
+				return Promise.resolve(createIterResult(undefined, true));
+			}
+
+			return new Promise(function(resolve, reject) {
+				unconsumedPromises.push({ resolve: resolve, reject: reject });
+			});
+		},
+
+		//the consumer left, events queued for it are dropped and later next() calls are done.
+		//(a close event only stops listening, queued events are still handed out then)
+		return: function() {
+			unconsumedEvents.length = 0;
+			error = null;
+			closeIterator();
+			return Promise.resolve(createIterResult(undefined, true));
+		},
+
+		throw: function(err) {
+			unconsumedEvents.length = 0;
+			error = null;
+			closeIterator();
+			return Promise.reject(err);
+		}
+	};
+
+	iterator[Symbol.asyncIterator] = function() {
+		return this;
+	};
+
+	//listener for given event, hands arguments to a waiting next() or queues them.
+	function eventHandler() {
+		var args = new Array(arguments.length);
+		for(var i = 0; i < args.length; i++){
+			args[i] = arguments[i];
+		}
+
+		var pending = unconsumedPromises.shift();
+		if(pending){
+			pending.resolve(createIterResult(args, false));
+		}else{
+			unconsumedEvents.push(args);
+		}
+	}
+
+	//listener for 'error' event, rejects a waiting next() or keeps error for the next one.
+	function errorHandler(err) {
+		var pending = unconsumedPromises.shift();
+		if(pending){
+			pending.reject(err);
+		}else{
+			error = err;
+		}
+		closeIterator();
+	}
+
+	//removes all listeners and resolves every remaining waiting next() as done.
+	function closeIterator() {
+		if(finished){
+			return;
+		}
+		finished = true;
+
+		emitter.removeListener(name, eventHandler);
+		if(name !== 'error'){
+			emitter.removeListener('error', errorHandler);
+		}
+		for(var i = 0; i < closeEvents.length; i++){
+			emitter.removeListener(closeEvents[i], closeIterator);
+		}
+
+		var pending;
+		while((pending = unconsumedPromises.shift())){
+			pending.resolve(createIterResult(undefined, true));
+		}
+	}
+
+	emitter.on(name, eventHandler);
+	if(name !== 'error'){
+		emitter.on('error', errorHandler);
+	}
+	for(var i = 0; i < closeEvents.length; i++){
+		emitter.on(closeEvents[i], closeIterator);
+	}
+
+	return iterator;
+};
+
+//helper function to capture current stack trace without the frames inside this module's _addListener.
+function captureStack() {
+	var holder = {};
+	Error.captureStackTrace(holder, _addListener);
+	//drop the first line, which is an empty error message.
+	return holder.stack.split('\n').slice(1).join('\n');
+}
+
+//helper function to create a result object of iterator protocol.
+function createIterResult(value, done) {
+	return { value: value, done: done };
+}
+
+//get priority from options passed to on(), once() and prepend methods, default priority is 0.
+function getPriority(options) {
+	if(!options || options.priority === undefined){
+		return 0;
+	}
+	var priority = options.priority;
+	if(typeof priority !== 'number' || isNaN(priority)){
+		throw new TypeError('"priority" option must be a number');
+	}
+	return priority;
+}
+
+//insert listener into a listeners array and keep both listeners array and its priorities array sorted.
+//appended listener goes behind listeners with the same or higher priority,
+//prepended listener goes in front of listeners with the same or lower priority.
+function insertByPriority(list, listener, priority, prepend) {
+	var priorities = list.priorities;
+	var i;
+
+	if(!priorities){
+		//array created before any priority was set, every listener has default priority.
+		priorities = list.priorities = new Array(list.length).fill(0);
+	}
+
+	if(prepend){
+		for(i = 0; i < list.length && priorities[i] > priority; i++){}
+	}else{
+		for(i = list.length; i > 0 && priorities[i - 1] < priority; i--){}
+	}
+
+	list.splice(i, 0, listener);
+	priorities.splice(i, 0, priority);
+}
+
 //appends new listener to the given type of event
-EventEmitter.prototype.addListener = function addListener(type, listener){
-	return _addListener(this, type, listener, false);
+EventEmitter.prototype.addListener = function addListener(type, listener, options){
+	return _addListener(this, type, listener, false, options);
 };
 
 //alias to addListener method
 EventEmitter.prototype.on = EventEmitter.prototype.addListener;
 
 //prepends new listener to the given type of event
-EventEmitter.prototype.prependListener = function prependListener(type, listener) {
-	return _addListener(this, type, listener, true);
+EventEmitter.prototype.prependListener = function prependListener(type, listener, options) {
+	return _addListener(this, type, listener, true, options);
 };
 
 //helper function to return an once listener wrapper function that wraps actual listener.
@@ -395,9 +1316,10 @@ function _onceWrap(target, type, listener) {
 		//remove wrapper function 
 		target.removeListener(type, g);
 		//if haven't fired, fire actual listener function.
+		//its returned value is passed on so that emitAsync()/emitSerial() can wait for it.
 		if(!fired){
 			fired = true;
-			listener.apply(target, arguments);
+			return listener.apply(target, arguments);
 		}
 	}
 	//preserve reference to actual listener function through listener property on wrapper
@@ -406,23 +1328,117 @@ function _onceWrap(target, type, listener) {
 }
 
 //appends once wrapper function returned by invoking _onceWrap() function to emitter
-EventEmitter.prototype.once = function once(type, listener){
+EventEmitter.prototype.once = function once(type, listener, options){
 	if(typeof listener !== 'function'){
 		throw new TypeError('"listener" argument must be a function');
 	}
-	this.on(type, _onceWrap(this, type, listener));
+	this.on(type, _onceWrap(this, type, listener), options);
 	return this;
 };
 
 //prepends once wrapper function returned by invoking _onceWrap() function to emitter
-EventEmitter.prototype.prependOnceListener = function prependOnceListener(type, listener){
+EventEmitter.prototype.prependOnceListener = function prependOnceListener(type, listener, options){
 	if(typeof listener !== 'function'){
 		throw new TypeError('"listener" argument must be a function');
 	}
-	this.prependListener(type, _onceWrap(this, type, listener));
-	return this;	
+	this.prependListener(type, _onceWrap(this, type, listener), options);
+	return this;
 };
 
+/*
+* Promise-based version of once(), works as a function attached in EventEmitter object.
+* EventEmitter.once(emitter, name[, options]) returns a promise that gets resolved with an array of arguments passed to the first emission of given event.
+* If an 'error' event gets emitted before given event, the promise gets rejected with that error.
+* Two options are supported:
+*   options.timeout: rejects the promise if given event isn't emitted within the number of milliseconds.
+*   options.signal: an AbortSignal, aborting it rejects the promise.
+* No matter how the promise settles, every listener added by this helper gets removed from the emitter(and the signal).
+*/
+EventEmitter.once = function(emitter, name, options) {
+	options = options || {};
+	var timeout = options.timeout;
+	var signal = options.signal;
+
+	if(timeout !== undefined && (typeof timeout !== 'number' || timeout < 0 || isNaN(timeout))){
+		throw new TypeError('"timeout" option must be a positive number');
+	}
+
+	if(signal !== undefined && (signal === null || typeof signal.addEventListener !== 'function')){
+		throw new TypeError('"signal" option must be an AbortSignal');
+	}
+
+	return new Promise(function(resolve, reject) {
+		var timer = null;
+
+		//signal is already aborted, no need to listen to anything.
+		if(signal && signal.aborted){
+			reject(abortError());
+			return;
+		}
+
+		//listener for given event, resolves with all arguments in an array.
+		function eventListener() {
+			cleanup();
+			var args = new Array(arguments.length);
+			for(var i = 0; i < args.length; i++){
+				args[i] = arguments[i];
+			}
+			resolve(args);
+		}
+
+		//listener for 'error' event, not needed when we are waiting for 'error' itself.
+		function errorListener(err) {
+			cleanup();
+			reject(err);
+		}
+
+		function onabort() {
+			cleanup();
+			reject(abortError());
+		}
+
+		function ontimeout() {
+			cleanup();
+			var err = new Error(`Timed out after ${timeout}ms waiting for "${String(name)}" event`);
+			err.name = 'TimeoutError';
+			reject(err);
+		}
+
+		//removes every listener and timer added by this helper.
+		function cleanup() {
+			emitter.removeListener(name, eventListener);
+			if(name !== 'error'){
+				emitter.removeListener('error', errorListener);
+			}
+			if(timer !== null){
+				clearTimeout(timer);
+				timer = null;
+			}
+			if(signal){
+				signal.removeEventListener('abort', onabort);
+			}
+		}
+
+		emitter.on(name, eventListener);
+		if(name !== 'error'){
+			emitter.on('error', errorListener);
+		}
+		if(timeout !== undefined){
+			timer = setTimeout(ontimeout, timeout);
+		}
+		if(signal){
+			signal.addEventListener('abort', onabort);
+		}
+	});
+};
+
+//helper function to create the error used when an AbortSignal aborts a pending operation.
+function abortError() {
+	var err = new Error('The operation was aborted');
+	err.name = 'AbortError';
+	return err;
+}
+
 /*
 * Removal method for removing listener/listeners for emitter.
 * removeListener aims for removing single listener from emitter
@@ -447,6 +1463,12 @@ EventEmitter.prototype.removeListener = function removeListener(type, listener)
 
 	//when there is only one listener or one oncewrap listener for given event
 	if(list === listener || (list.listener && list.listener===listener)){
+		if(this._wildcard){
+			removeOrderEntry(this, type, list);
+		}
+		if(this._listenerOrigins){
+			removeOrigin(this, type, list);
+		}
 		if(--this._eventsCount === 0){
 			this._events = new EventHandlers();
 		}else{
@@ -475,6 +1497,13 @@ EventEmitter.prototype.removeListener = function removeListener(type, listener)
 			return this;
 		}
 
+		if(this._wildcard){
+			removeOrderEntry(this, type, list[position]);
+		}
+		if(this._listenerOrigins){
+			removeOrigin(this, type, list[position]);
+		}
+
 		if(list.length === 1){
 			//matched listener is the only remaining listener in this listener array.
 			list[0] = undefined;
@@ -485,8 +1514,11 @@ EventEmitter.prototype.removeListener = function removeListener(type, listener)
 				delete events[type];
 			}
 		}else {
-			//remove matched listener from listener array.
+			//remove matched listener from listener array, and its priority as well.
 			spliceOne(list, position);
+			if(list.priorities){
+				spliceOne(list.priorities, position);
+			}
 		}
 
 		//if there are any listeners from 'removeListener' event, 
@@ -512,7 +1544,17 @@ EventEmitter.prototype.removeAllListeners = function removeAllListeners(type) {
 		if(arguments.length === 0) {
 			this._events = new EventHandlers();
 			this._eventsCount = 0;
+			if(this._wildcard){
+				this._listenerOrder = [];
+			}
+			this._listenerOrigins = undefined;
 		}else if(events[type]) {
+			if(this._wildcard){
+				removeOrderEntries(this, type);
+			}
+			if(this._listenerOrigins){
+				delete this._listenerOrigins[type];
+			}
 			if(--this._eventsCount === 0){
 				this._events = new EventHandlers();
 			}else{
@@ -552,11 +1594,22 @@ EventEmitter.prototype.removeAllListeners = function removeAllListeners(type) {
 };
 
 //get listener arrays from given event type, if there's no listener, an empty array would be returned.
-EventEmitter.prototype.listeners = function listeners(type) {
+//in wildcard mode, listeners of patterns matching given event type are included in registration order,
+//unless given type is a pattern itself, then only listeners added to that pattern are returned.
+//when options.withPriority is true, an array of {listener, priority} objects is returned instead, in dispatch order.
+EventEmitter.prototype.listeners = function listeners(type, options) {
 	var evlistener;
 	var ret;
 	var events = this._events;
 
+	if(options && options.withPriority){
+		return listenersWithPriority(this, type);
+	}
+
+	if(this._wildcard && events && !isPattern(type)){
+		return matchedListeners(this, type) || [];
+	}
+
 	if(!events){
 		ret = [];
 	}else{
@@ -573,6 +1626,73 @@ EventEmitter.prototype.listeners = function listeners(type) {
 	return ret;
 };
 
+//helper function for listeners(type, {withPriority: true}).
+function listenersWithPriority(emitter, type) {
+	var events = emitter._events;
+	var ret = [];
+	var evlistener, i;
+
+	if(!events){
+		return ret;
+	}
+
+	if(emitter._wildcard && !isPattern(type)){
+		var order = emitter._listenerOrder;
+		for(i = 0; i < order.length; i++){
+			if(matchEventName(emitter, order[i].type, type)){
+				ret.push({ listener: order[i].listener, priority: order[i].priority });
+			}
+		}
+		return ret;
+	}
+
+	evlistener = events[type];
+	if(typeof evlistener === 'function'){
+		ret.push({ listener: evlistener, priority: 0 });
+	}else if(evlistener){
+		for(i = 0; i < evlistener.length; i++){
+			ret.push({
+				listener: evlistener[i],
+				priority: evlistener.priorities ? evlistener.priorities[i] : 0
+			});
+		}
+	}
+	return ret;
+}
+
+
+/*
+* Get where listeners of given event type were added from, works only when EventEmitter.captureListenerStacks is on.
+* Returns an array of {listener, stack} objects in the order listeners were added, once wrappers are unwrapped.
+* Listeners added while captureListenerStacks was off are not included.
+*/
+EventEmitter.prototype.getListenerOrigins = function getListenerOrigins(type) {
+	var origins = this._listenerOrigins && this._listenerOrigins[type];
+	if(!origins){
+		return [];
+	}
+	return origins.map(function(origin) {
+		return { listener: origin.listener.listener || origin.listener, stack: origin.stack };
+	});
+};
+
+//remove the most recently recorded origin of given stored listener.
+function removeOrigin(emitter, type, listener) {
+	var origins = emitter._listenerOrigins[type];
+	if(!origins){
+		return;
+	}
+	for(var i = origins.length; i-- > 0;){
+		if(origins[i].listener === listener){
+			spliceOne(origins, i);
+			break;
+		}
+	}
+	if(origins.length === 0){
+		delete emitter._listenerOrigins[type];
+	}
+}
+
 
 /*
 * Count the number of listener for given event on emitter
@@ -591,6 +1711,12 @@ EventEmitter.prototype.listenerCount = function listenerCount(type) {
 	var events = this._events;
 	var evlistener;
 
+	//same as listeners(), pattern listeners are counted in wildcard mode.
+	if(this._wildcard && events && !isPattern(type)){
+		evlistener = matchedListeners(this, type);
+		return evlistener ? evlistener.length : 0;
+	}
+
 	if(events){
 		evlistener = events[type];
 
@@ -605,12 +1731,186 @@ EventEmitter.prototype.listenerCount = function listenerCount(type) {
 };
 
 //get all currently listed events in emitter
-EventEmitter.prototype.eventNames = function eventNames() {
+//in wildcard mode, patterns are listed as they are added. An optional pattern filters names to the ones it matches.
+//eventNames({declared: true}) returns names declared through events option instead.
+EventEmitter.prototype.eventNames = function eventNames(pattern) {
+	if(pattern && typeof pattern === 'object'){
+		if(pattern.declared){
+			return this._eventContracts ? Reflect.ownKeys(this._eventContracts) : [];
+		}
+		pattern = undefined;
+	}
+
 	//use ES6 Reflect to all events returned in an array
-	return this._eventsCount > 0 ? Reflect.ownKeys(this._events) : [];
+	var names = this._eventsCount > 0 ? Reflect.ownKeys(this._events) : [];
+
+	if(this._wildcard && pattern !== undefined){
+		var emitter = this;
+		names = names.filter(function(name) {
+			return matchEventName(emitter, pattern, name);
+		});
+	}
+
+	return names;
 };
 
 
+/*
+* Event contracts.
+* Emitter declares the events it supports through events option, e.g.
+*	new EventEmitter({
+*		strict: true,
+*		events: {
+*			data: ['string'],               //exactly one string argument
+*			progress: ['number', 'any'],    //a number and anything else
+*			response: [IncomingMessage],    //constructor functions are checked with instanceof
+*			end: [],                        //no argument
+*			close: true                     //declared, arguments are not checked
+*		}
+*	});
+* Type names are the results of typeof operator plus 'any'. A declaration that is not an array only declares the name.
+* In strict mode, emitting an undeclared event or emitting with wrong arguments throws a TypeError,
+* and adding a listener to an undeclared event emits an 'UndeclaredEventWarning'.
+* 'error', 'newListener' and 'removeListener' are always allowed.
+*/
+function isBuiltinEvent(type) {
+	return type === 'error' || type === 'newListener' || type === 'removeListener';
+}
+
+//check if given type(or pattern in wildcard mode) is declared.
+function isDeclared(emitter, type) {
+	var contracts = emitter._eventContracts;
+	if(isBuiltinEvent(type) || contracts[type] !== undefined){
+		return true;
+	}
+	if(emitter._wildcard && isPattern(type)){
+		//a pattern is fine as long as it matches at least one declared event.
+		return Reflect.ownKeys(contracts).some(function(name) {
+			return matchEventName(emitter, type, name);
+		});
+	}
+	return false;
+}
+
+//validate an emission against the declaration, args is the arguments object of emit() including type.
+function checkContract(emitter, type, args) {
+	if(isBuiltinEvent(type)){
+		return;
+	}
+
+	var spec = emitter._eventContracts[type];
+	if(spec === undefined){
+		throw new TypeError(`Unknown event "${String(type)}"`);
+	}
+	if(!Array.isArray(spec)){
+		return;
+	}
+
+	var argc = args.length - 1;
+	if(argc !== spec.length){
+		throw new TypeError(`"${String(type)}" event expects ${spec.length} argument(s), got ${argc}`);
+	}
+	for(var i = 0; i < spec.length; i++){
+		if(!matchType(spec[i], args[i + 1])){
+			var expected = typeof spec[i] === 'function' ? 'an instance of ' + spec[i].name : 'of type ' + spec[i];
+			throw new TypeError(`Argument ${i} of "${String(type)}" event must be ${expected}`);
+		}
+	}
+}
+
+function matchType(expected, value) {
+	if(expected === 'any'){
+		return true;
+	}
+	if(typeof expected === 'function'){
+		return value instanceof expected;
+	}
+	if(expected === 'object'){
+		//typeof null is 'object', but null is hardly what declaration means.
+		return value !== null && typeof value === 'object';
+	}
+	return typeof value === expected;
+}
+
+
+/*
+* Helper functions for wildcard mode.
+* Event names are split into segments by emitter's delimiter(':' by default), e.g. 'job:started' has segments 'job' and 'started'.
+* In a pattern, '*' segment matches exactly one segment and '**' segment matches zero or more segments.
+* Internal 'newListener' and 'removeListener' events are only matched by their exact names.
+*/
+//check if given event name is a pattern.
+function isPattern(name) {
+	return typeof name === 'string' && name.indexOf('*') !== -1;
+}
+
+//check if given pattern(or exact name) matches given event name.
+function matchEventName(emitter, pattern, name) {
+	if(pattern === name){
+		return true;
+	}
+	if(!isPattern(pattern) || typeof name !== 'string' ||
+		name === 'newListener' || name === 'removeListener'){
+		return false;
+	}
+	var delimiter = emitter._delimiter;
+	return matchSegments(pattern.split(delimiter), 0, name.split(delimiter), 0);
+}
+
+//recursively match pattern segments against name segments.
+function matchSegments(pattern, pi, name, ni) {
+	while(pi < pattern.length){
+		var segment = pattern[pi];
+		if(segment === '**'){
+			//try to let '**' swallow 0, 1, 2... segments of name
+			for(var i = ni; i <= name.length; i++){
+				if(matchSegments(pattern, pi + 1, name, i)){
+					return true;
+				}
+			}
+			return false;
+		}
+		if(ni >= name.length || (segment !== '*' && segment !== name[ni])){
+			return false;
+		}
+		pi++;
+		ni++;
+	}
+	return ni === name.length;
+}
+
+//collect stored listeners of exact and pattern keys matching given type in registration order.
+//return undefined when there is none, so it can be used like events[type].
+function matchedListeners(emitter, type) {
+	var order = emitter._listenerOrder;
+	var ret = [];
+	for(var i = 0; i < order.length; i++){
+		if(matchEventName(emitter, order[i].type, type)){
+			ret.push(order[i].listener);
+		}
+	}
+	return ret.length > 0 ? ret : undefined;
+}
+
+//remove the most recently added order entry for given type and stored listener.
+function removeOrderEntry(emitter, type, listener) {
+	var order = emitter._listenerOrder;
+	for(var i = order.length; i-- > 0;){
+		if(order[i].type === type && order[i].listener === listener){
+			spliceOne(order, i);
+			return;
+		}
+	}
+}
+
+//remove all order entries for given type.
+function removeOrderEntries(emitter, type) {
+	emitter._listenerOrder = emitter._listenerOrder.filter(function(entry) {
+		return entry.type !== type;
+	});
+}
+
+
 /*
 * Two utility functions used by previous code.
 */
@@ -627,9 +1927,8 @@ function spliceOne(list, index) {
 //util function for clone an array of listeners
 function arrayClone(arr, i) {
 	var copy = new Array(i);
-	while(i>=0){
+	while(i--){
 		copy[i] = arr[i];
-		i--;
 	}
 	return copy;
 }
@@ -0,0 +1,67 @@
+//'internal/stream/destroy' module
+//destroy() implementation shared by Readable and Writable, and so by Duplex, Transform and PassThrough as well.
+
+'use strict';
+
+/*
+* Destroy the stream, tear down the underlying resource and stop everything going through the stream.
+* destroy() marks both _readableState and _writableState(whichever the stream has) as destroyed, then calls
+* stream._destroy(err, callback), which implementers override to release their resources.
+* Once _destroy calls back:
+*   - if cb is given, cb(err) gets called and 'close' is emitted.
+*   - otherwise 'error'(when there is an error) and then 'close' are emitted on next tick.
+* Destroying a stream more than once does nothing but call cb, so 'error' and 'close' are emitted at most once.
+*/
+function destroy(err, cb) {
+	var rs = this._readableState;
+	var ws = this._writableState;
+
+	if((rs && rs.destroyed) || (ws && ws.destroyed)){
+		if(typeof cb === 'function'){
+			cb(err);
+		}
+		return this;
+	}
+
+	if(rs){
+		rs.destroyed = true;
+	}
+	if(ws){
+		ws.destroyed = true;
+	}
+
+	var stream = this;
+	this._destroy(err || null, function(err) {
+		if(err && typeof cb !== 'function'){
+			if(ws){
+				ws.errorEmitted = true;
+			}
+			process.nextTick(emitErrorAndCloseNT, stream, err);
+			return;
+		}
+
+		process.nextTick(emitCloseNT, stream);
+		if(typeof cb === 'function'){
+			cb(err);
+		}
+	});
+
+	return this;
+}
+
+function emitErrorAndCloseNT(stream, err) {
+	stream.emit('error', err);
+	emitCloseNT(stream);
+}
+
+function emitCloseNT(stream) {
+	if(stream._readableState){
+		stream._readableState.closeEmitted = true;
+	}
+	if(stream._writableState){
+		stream._writableState.closeEmitted = true;
+	}
+	stream.emit('close');
+}
+
+exports.destroy = destroy;
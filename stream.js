@@ -123,3 +123,215 @@ Stream.prototype.pipe = function(dest, options) {
 	return dest;
 }
 
+
+
+/*
+* stream.pipeline(...streams[, callback])
+* Pipes a series of streams together: readable -> transform/duplex... -> writable, streams can also be given in one array.
+* Unlike pipe(), an error or a premature close in any stream destroys every stream in the pipeline,
+* so no stream is left open(and no file descriptor gets leaked).
+* callback(err) gets called exactly once, with the first error, when the last stream finishes or the pipeline fails.
+* Without a callback, a promise is returned instead, resolved/rejected in the same situations.
+* With a callback, the last stream is returned so it can be chained like pipe().
+*/
+Stream.pipeline = pipeline;
+
+function pipeline() {
+	var streams = new Array(arguments.length);
+	for(var i = 0; i < streams.length; i++){
+		streams[i] = arguments[i];
+	}
+
+	var callback = typeof streams[streams.length - 1] === 'function' ? streams.pop() : null;
+
+	if(streams.length === 1 && Array.isArray(streams[0])){
+		streams = streams[0];
+	}
+
+	if(streams.length < 2){
+		throw new TypeError('pipeline() requires at least two streams');
+	}
+
+	if(!callback){
+		return new Promise(function(resolve, reject) {
+			pipelineStreams(streams, function(err) {
+				if(err){
+					reject(err);
+				}else{
+					resolve();
+				}
+			});
+		});
+	}
+
+	pipelineStreams(streams, callback);
+	return streams[streams.length - 1];
+}
+
+function pipelineStreams(streams, callback) {
+	var error = null;
+	var called = false;
+
+	//destroy every stream, the ones that are already done ignore it.
+	function destroyAll(err) {
+		for(var i = 0; i < destroys.length; i++){
+			destroys[i](err);
+		}
+	}
+
+	var destroys = streams.map(function(stream, i) {
+		//every stream but the last one is read from, every stream but the first one is written to.
+		var reading = i < streams.length - 1;
+		var writing = i > 0;
+
+		return destroyer(stream, reading, writing, function(err) {
+			if(called){
+				return;
+			}
+			if(err){
+				error = error || err;
+				destroyAll(err);
+			}
+			//the pipeline is done when the last stream is done, or as soon as anything fails.
+			if(reading && !error){
+				return;
+			}
+			called = true;
+			destroyAll();
+			callback(error);
+		});
+	});
+
+	streams.reduce(function(src, dest) {
+		return src.pipe(dest);
+	});
+}
+
+//watch one stream of the pipeline, returns a function that destroys the stream unless it's already done.
+function destroyer(stream, reading, writing, callback) {
+	var done = false;
+
+	finished(stream, { readable: reading, writable: writing }, function(err) {
+		done = true;
+		callback(err);
+	});
+
+	var destroyed = false;
+	return function(err) {
+		if(done || destroyed){
+			return;
+		}
+		destroyed = true;
+
+		if(typeof stream.destroy === 'function'){
+			stream.destroy();
+		}else if(typeof stream.close === 'function'){
+			//old style streams like fs streams only have close()
+			stream.close();
+		}
+	};
+}
+
+
+/*
+* stream.finished(stream[, opts], callback)
+* Detects when a stream is done: its readable side has ended('end') and/or its writable side has finished('finish'),
+* or it has errored, or it has been closed prematurely.
+* opts.readable/opts.writable: set to false to skip waiting for that side, by default every side the stream has is waited for.
+* callback(err) gets called exactly once, err is set if the stream errored, or emitted 'close' before
+* _readableState/_writableState reached its end. A stream that is already done calls back on next tick.
+* Listeners added by finished() are removed before callback gets called.
+* Returns a function that removes them earlier, e.g. when the caller stops caring.
+*/
+Stream.finished = finished;
+
+function finished(stream, opts, callback) {
+	if(typeof opts === 'function'){
+		callback = opts;
+		opts = {};
+	}
+	opts = opts || {};
+
+	if(typeof callback !== 'function'){
+		throw new TypeError('"callback" argument must be a function');
+	}
+
+	var rs = stream._readableState;
+	var ws = stream._writableState;
+	var readable = opts.readable === true || (opts.readable !== false && !!(stream.readable || rs));
+	var writable = opts.writable === true || (opts.writable !== false && !!(stream.writable || ws));
+	var called = false;
+
+	function done(err) {
+		if(called){
+			return;
+		}
+		called = true;
+		//once settled, later errors are the owner's business again.
+		cleanup();
+		callback.call(stream, err);
+	}
+
+	//old style writables set writable to false instead of emitting 'finish'.
+	function onlegacyfinish() {
+		if(!stream.writable){
+			onfinish();
+		}
+	}
+
+	function onfinish() {
+		writable = false;
+		if(!readable){
+			done();
+		}
+	}
+
+	function onend() {
+		readable = false;
+		if(!writable){
+			done();
+		}
+	}
+
+	function onerror(err) {
+		done(err);
+	}
+
+	//'close' is only fine when each side we wait for has emitted 'end'/'finish'.
+	//end() or push(null) alone isn't enough, the stream may be destroyed before it gets there.
+	function onclose() {
+		if(readable && !(rs && rs.endEmitted)){
+			return done(new Error('Premature close'));
+		}
+		if(writable && !(ws && ws.finished)){
+			return done(new Error('Premature close'));
+		}
+	}
+
+	function cleanup() {
+		stream.removeListener('end', onend);
+		stream.removeListener('finish', onfinish);
+		stream.removeListener('end', onlegacyfinish);
+		stream.removeListener('close', onlegacyfinish);
+		stream.removeListener('error', onerror);
+		stream.removeListener('close', onclose);
+	}
+
+	stream.on('end', onend);
+	stream.on('finish', onfinish);
+	if(writable && !ws){
+		stream.on('end', onlegacyfinish);
+		stream.on('close', onlegacyfinish);
+	}
+	stream.on('error', onerror);
+	stream.on('close', onclose);
+
+	//stream may be done already, then its events are gone and the states tell the story.
+	var readableDone = !readable || (rs && rs.endEmitted);
+	var writableDone = !writable || (ws && ws.finished);
+	if(readableDone && writableDone){
+		process.nextTick(done);
+	}
+
+	return cleanup;
+}